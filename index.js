@@ -2,269 +2,4403 @@
 
 /* eslint no-underscore-dangle: ["error", { "allowAfterThis": true }] */
 const Executor = require('screwdriver-executor-base');
+const { execFile } = require('child_process');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { parseExpression } = require('cron-parser');
 const hoek = require('@hapi/hoek');
 const imageParser = require('docker-parse-image');
 const Fusebox = require('circuit-fuses').breaker;
 const Docker = require('dockerode');
+const prometheus = require('prom-client');
+const tar = require('tar-stream');
+const logger = require('screwdriver-logger');
+const request = require('screwdriver-request');
 
 const DEFAULT_BUILD_TIMEOUT = 90; // 90 minutes
+const DEFAULT_POLL_INTERVAL = 30 * 1000; // 30 seconds
+const DEFAULT_FROZEN_INTERVAL = 60 * 1000; // 1 minute
+const STATE_DIR = path.join(os.homedir(), '.screwdriver-executor-docker');
+const DEFAULT_PULL_TIMEOUT = 15 * 60 * 1000; // 15 minutes
+const DEFAULT_CREDENTIAL_HELPER_TIMEOUT = 30 * 1000; // 30 seconds
+const DEFAULT_LAUNCHER_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+const LAUNCHER_POLL_DELAY = 1000; // 1 second
+const DEFAULT_SIDECAR_TIMEOUT = 2 * 60 * 1000; // 2 minutes
+const SIDECAR_POLL_DELAY = 1000; // 1 second
+const DEFAULT_TERMINATION_GRACE_PERIOD = 30; // 30 seconds
+const DEFAULT_QUEUE_INTERVAL = 10 * 1000; // 10 seconds
+const ACTIVE_STATES = ['created', 'running', 'restarting', 'paused'];
+const DEFAULT_LOG_MAX_BYTES = 10 * 1024 * 1024; // 10 MB
+const LOG_ARTIFACT = 'executor.log';
+const DEFAULT_HEALTH_TIMEOUT = 10 * 1000; // 10 seconds
+const DEFAULT_MIN_API_VERSION = '1.41'; // Docker 20.10
+const DEFAULT_MIN_FREE_DISK = 5; // 5 GB
+const DEFAULT_METRICS_PREFIX = 'sd_executor_docker_';
+const EVENTS_RETRY_DELAY = 5 * 1000; // 5 seconds
+// Docker container events and the executor events they become
+const CONTAINER_EVENTS = { create: 'created', start: 'started', die: 'exited', oom: 'oom', destroy: 'removed' };
+const PULL_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 900]; // seconds
+const STOP_BUCKETS = [0.5, 1, 5, 10, 30, 60, 120]; // seconds
+const SIDECAR_NAME = /^[a-z0-9][a-z0-9_.-]*$/;
+const CACHE_VOLUME_NAME = /^[a-z0-9][a-z0-9_.-]*$/;
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const TOKEN_DIR = '/run/sd';
+const TOKEN_FILE = `${TOKEN_DIR}/token`;
+const SWARM_TOKEN_FILE = '/run/secrets/sd-token';
+// Paths of the launcher, the build workspace and the build token, nothing else gets mounted there
+const RESERVED_TARGETS = ['/opt/sd', '/sd', TOKEN_DIR];
+// Names taken by the containers and network aliases of the executor
+const RESERVED_SIDECAR_NAMES = ['build', 'dind', 'docker', 'network', 'proxy'];
+const DEFAULT_REAPER_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const DEFAULT_REAPER_MAX_AGE = 60 * 60 * 1000; // 1 hour
+const DEFAULT_REAPER_GRACE = 15 * 60 * 1000; // 15 minutes
+const REAPABLE_STATES = ['created', 'exited', 'dead'];
+const TASK_END_STATES = ['complete', 'failed', 'rejected', 'shutdown', 'orphaned', 'remove'];
+const MAX_FREEZE_MINUTES = 366 * 24 * 60; // 1 year
+const CREDENTIALS_NOT_FOUND = /credentials not found/i;
+const DOCKER_HUB_REGISTRIES = ['docker.io', 'index.docker.io', 'https://index.docker.io/v1/'];
+const ANNOTATION_CPU = 'screwdriver.cd/cpu';
+const ANNOTATION_RAM = 'screwdriver.cd/ram';
+const ANNOTATION_TIMEOUT = 'screwdriver.cd/timeout';
+const ANNOTATION_IMAGE_PULL_POLICY = 'screwdriver.cd/imagePullPolicy';
+const ANNOTATION_DOCKER_ENABLED = 'screwdriver.cd/dockerEnabled';
+const ANNOTATION_SECURITY_PROFILE = 'screwdriver.cd/securityProfile';
+const ANNOTATION_NETWORK = 'screwdriver.cd/network';
+const ANNOTATION_SIDECARS = 'screwdriver.cd/sidecars';
+const ANNOTATION_TERMINATION_GRACE_PERIOD = 'screwdriver.cd/terminationGracePeriod';
+const ANNOTATION_PRIORITY = 'screwdriver.cd/priority';
+const ANNOTATION_DOCKER_HOST = 'screwdriver.cd/dockerHost';
+const ANNOTATION_CACHE_VOLUMES = 'screwdriver.cd/cacheVolumes';
+const IMAGE_PULL_POLICIES = ['Always', 'IfNotPresent', 'Never'];
+const DOCKER_ACCESS_MODES = ['socket', 'dind'];
+const DOCKER_SOCKET = '/var/run/docker.sock';
+const DIND_HOST = 'tcp://docker:2375';
+const DEFAULT_TMPFS = { '/sd': 'rw,exec', '/tmp': 'rw,exec,nosuid' };
+const DEFAULT_PROXY_PORT = 3128;
+const NO_PROXY = 'docker,proxy,localhost,127.0.0.1';
+const GIGABYTE = 1024 * 1024 * 1024;
+const NANO_CPUS = 1000 * 1000 * 1000;
+const NANO_SECONDS = 1000 * 1000 * 1000;
+
+/**
+ * Read a Screwdriver annotation from a build config
+ * @method getAnnotation
+ * @param  {Object} config     Build configuration
+ * @param  {String} annotation Annotation name (e.g. screwdriver.cd/timeout)
+ * @return {*}                 Annotation value, undefined if not set
+ */
+function getAnnotation(config, annotation) {
+    return hoek.reach(config, `annotations>${annotation}`, { separator: '>' });
+}
+
+/**
+ * Quote a value as a single shell word
+ * @method shellQuote
+ * @param  {String|Number} value Value to quote
+ * @return {String}              Value in single quotes
+ */
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Pack the build token into a tar archive, the form Docker copies files into containers in
+ * @method packToken
+ * @param  {String} token Build token
+ * @return {Stream}       Tar archive with the token file
+ */
+function packToken(token) {
+    const pack = tar.pack();
+
+    pack.entry({ name: path.basename(TOKEN_FILE), mode: 0o444 }, token);
+    pack.finalize();
+
+    return pack;
+}
+
+/**
+ * Read the build token back from the tar archive Docker gives of the token file
+ * @method unpackToken
+ * @param  {Stream} archive Tar archive with the token file
+ * @return {Promise}        Resolves to the build token
+ */
+function unpackToken(archive) {
+    return new Promise((resolve, reject) => {
+        const extract = tar.extract();
+        let token = '';
+
+        extract.on('entry', (header, stream, next) => {
+            stream.on('data', chunk => {
+                token += chunk;
+            });
+            stream.on('end', next);
+        });
+        extract.on('finish', () => resolve(token));
+        extract.on('error', reject);
+        archive.pipe(extract);
+    });
+}
+
+/**
+ * Name the launcher volume after the launcher image it holds, so that a moving launcher tag
+ * like stable gets a new volume whenever it points to another image
+ * @method getLauncherName
+ * @param  {String} prefix   Prefix to container names
+ * @param  {String} version  Launcher version
+ * @param  {String} imageId  ID or digest of the launcher image
+ * @return {String}          Name of the launcher volume
+ */
+function getLauncherName(prefix, version, imageId) {
+    return `${prefix}sd-launcher-${version}-${imageId.replace(/^sha256:/, '').slice(0, 12)}`;
+}
+
+/**
+ * Split an image into the repository and tag to pull
+ * @method getPullArgs
+ * @param  {String} image Image name (e.g. node:6 or registry.example.com/node)
+ * @return {Object}       fromImage, tag and registry of the image
+ */
+function getPullArgs(image) {
+    const piecesParts = imageParser(image);
+
+    /**
+     *
+     * the docker-parse-image returns a fullname that always contains
+     * a namespace, which defaults to 'library' if no namespace is specified.
+     * perhaps library is the historical place to put things? but,
+     * my private registry does not work with 'library' injected in to the
+     * docker image name.  In other words, if I try to parse:
+     * 'myregistry.private.com/myimage'
+     * i end up with
+     * 'myregistry.private.com/library/myimage:latest'
+     * there is no library namespace in my private registry, so this fails.
+     */
+    if (piecesParts.tag !== null && piecesParts.tag !== 'latest') {
+        const containerNameParts = piecesParts.name.split(':');
+
+        containerNameParts.pop();
+
+        return { fromImage: containerNameParts.join(':'), tag: piecesParts.tag, registry: piecesParts.registry };
+    }
+
+    return { fromImage: piecesParts.name, tag: 'latest', registry: piecesParts.registry };
+}
+
+/**
+ * Create the error for an image that could not be pulled
+ * @method pullError
+ * @param  {String} image  Image name and tag
+ * @param  {String} reason Reason given by the registry or daemon
+ * @return {Error}         Error with image, registry and reason properties
+ */
+function pullError(image, reason) {
+    const registry = imageParser(image).registry || DOCKER_HUB_REGISTRIES[0];
+    const err = new Error(`Failed to pull image ${image} from ${registry}: ${reason}`);
+
+    err.image = image;
+    err.registry = registry;
+    err.reason = reason;
+
+    return err;
+}
+
+/**
+ * Make a Docker call that takes a callback, without the circuit breaker
+ * @method dockerCall
+ * @param  {Function} func    Makes the call, gets the callback
+ * @return {Promise}          Resolves to the result of the call
+ */
+function dockerCall(func) {
+    return new Promise((resolve, reject) => {
+        func((err, result) => (err ? reject(err) : resolve(result)));
+    });
+}
+
+/**
+ * Reject when a promise does not settle in time
+ * @method withTimeout
+ * @param  {Promise} promise  Promise to wait for
+ * @param  {Number}  timeout  Milliseconds to wait at most
+ * @return {Promise}
+ */
+function withTimeout(promise, timeout) {
+    let timer;
+
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timed out after ${timeout}ms`)), timeout);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Compare two Docker API versions (e.g. 1.41)
+ * @method compareApiVersions
+ * @param  {String} a       API version
+ * @param  {String} b       API version
+ * @return {Number}         Less than 0 when a is older than b, 0 when they are the same
+ */
+function compareApiVersions(a, b) {
+    const [majorA, minorA] = String(a).split('.').map(Number);
+    const [majorB, minorB] = String(b).split('.').map(Number);
+
+    return majorA - majorB || minorA - minorB;
+}
+
+/**
+ * Names a registry can be keyed by in the executor options or a Docker config.json
+ * @method registryKeys
+ * @param  {String} registry Registry host from docker-parse-image, null for Docker Hub
+ * @return {Array}           Candidate keys, most specific first
+ */
+function registryKeys(registry) {
+    if (!registry || DOCKER_HUB_REGISTRIES.includes(registry)) {
+        return DOCKER_HUB_REGISTRIES;
+    }
+
+    return [registry, `https://${registry}`, `http://${registry}`];
+}
+
+/**
+ * Fetch registry credentials from a Docker credential helper
+ * @method getHelperCredentials
+ * @param  {String} helper        Name of the helper (docker-credential-<helper>)
+ * @param  {String} serverAddress Registry to get the credentials for
+ * @param  {Number} timeout       Milliseconds the helper gets to answer
+ * @return {Promise}              Resolves to a Docker authconfig, undefined when the helper has none
+ */
+function getHelperCredentials(helper, serverAddress, timeout) {
+    return new Promise((resolve, reject) => {
+        const child = execFile(`docker-credential-${helper}`, ['get'], { timeout }, (err, stdout) => {
+            // Helpers answer on stdout that they have nothing for the registry, pull anonymously then
+            if (err && CREDENTIALS_NOT_FOUND.test(stdout)) {
+                return resolve(undefined);
+            }
+            if (err && err.killed) {
+                return reject(
+                    new Error(`Credential helper ${helper} timed out after ${timeout}ms for ${serverAddress}`)
+                );
+            }
+            if (err) {
+                return reject(new Error(`Credential helper ${helper} failed for ${serverAddress}: ${err.message}`));
+            }
+
+            let credentials;
+
+            try {
+                credentials = JSON.parse(stdout);
+            } catch (parseErr) {
+                return reject(
+                    new Error(`Credential helper ${helper} returned invalid credentials: ${parseErr.message}`)
+                );
+            }
+
+            const { Username, Secret } = credentials;
+
+            // Helpers return identity tokens with this placeholder username
+            if (Username === '<token>') {
+                return resolve({ identitytoken: Secret, serveraddress: serverAddress });
+            }
+
+            return resolve({ username: Username, password: Secret, serveraddress: serverAddress });
+        });
+
+        // A helper that exits without reading the registry fails through the callback
+        child.stdin.on('error', () => {});
+        child.stdin.end(serverAddress);
+    });
+}
+
+/**
+ * Work out why a build container failed from its inspect data
+ * @method getFailureMessage
+ * @param  {Object} info Docker container inspect data
+ * @return {String}      Failure message, empty if the container has not failed
+ */
+function getFailureMessage(info) {
+    const state = info.State || {};
+
+    if (state.OOMKilled) {
+        return 'Build container was killed after running out of memory.';
+    }
+
+    if (state.Error) {
+        return `Build failed to start: ${state.Error}`;
+    }
+
+    if (['exited', 'dead'].includes(state.Status) && state.ExitCode !== 0) {
+        return `Build container exited with code ${state.ExitCode}.`;
+    }
+
+    return '';
+}
+
+/**
+ * Parse a freeze window cron expression (5 fields, "?" allowed for day of month or week)
+ * @method parseFreezeWindow
+ * @param  {String} cronExp Cron expression of the freeze window
+ * @return {Function}       Returns true when the given date is inside the window
+ */
+function parseFreezeWindow(cronExp) {
+    const fields = cronExp.trim().split(/\s+/);
+
+    if (fields.length !== 5) {
+        throw new Error(`${cronExp} does not have exactly 5 fields`);
+    }
+
+    const anyDayOfMonth = fields[2] === '?';
+    const anyDayOfWeek = fields[4] === '?';
+    const cron = parseExpression(
+        [fields[0], fields[1], anyDayOfMonth ? '*' : fields[2], fields[3], anyDayOfWeek ? '*' : fields[4]].join(' '),
+        { utc: true }
+    ).fields;
+
+    return date => {
+        const dayOfWeek = date.getUTCDay();
+
+        return (
+            cron.minute.includes(date.getUTCMinutes()) &&
+            cron.hour.includes(date.getUTCHours()) &&
+            (anyDayOfMonth || cron.dayOfMonth.includes(date.getUTCDate())) &&
+            (anyDayOfWeek || cron.dayOfWeek.includes(dayOfWeek) || (dayOfWeek === 0 && cron.dayOfWeek.includes(7))) &&
+            cron.month.includes(date.getUTCMonth() + 1)
+        );
+    };
+}
+
+/**
+ * Find the first minute that is outside of all freeze windows
+ * @method getReleaseTime
+ * @param  {Array}  freezeWindows Cron expressions the build cannot run during
+ * @param  {Date}   date          Time to start looking from
+ * @return {Date}                 First time outside of the freeze windows
+ */
+function getReleaseTime(freezeWindows, date) {
+    const windows = freezeWindows.map(parseFreezeWindow);
+    const releaseTime = new Date(date.getTime());
+
+    for (let minutes = 0; minutes < MAX_FREEZE_MINUTES; minutes += 1) {
+        if (!windows.some(inWindow => inWindow(releaseTime))) {
+            return releaseTime;
+        }
+
+        // Windows have minute granularity, so continue from the start of the next minute
+        releaseTime.setUTCSeconds(0, 0);
+        releaseTime.setUTCMinutes(releaseTime.getUTCMinutes() + 1);
+    }
+
+    throw new Error(`Freeze windows ${freezeWindows.join(', ')} never end`);
+}
+
+/**
+ * Turn a security profile into the settings of the build container
+ * @method getSecuritySettings
+ * @param  {String}   name                    Profile name used in error messages
+ * @param  {Object}   profile                 Security profile
+ * @param  {Array}    [profile.capDrop]       Linux capabilities to drop (e.g. ALL)
+ * @param  {Array}    [profile.capAdd]        Linux capabilities to add
+ * @param  {String}   [profile.seccomp]       Path to a seccomp profile, or unconfined
+ * @param  {String}   [profile.apparmor]      AppArmor profile name
+ * @param  {Boolean}  [profile.noNewPrivileges] Stop processes from gaining privileges
+ * @param  {String}   [profile.user]          User (and group) to run the build as
+ * @param  {String}   [profile.usernsMode]    User namespace mode
+ * @param  {Boolean}  [profile.readOnlyRootfs] Mount the root filesystem read-only
+ * @param  {Object}   [profile.tmpfs]         Writable tmpfs mounts with a read-only root filesystem
+ * @param  {Number}   [profile.pidsLimit]     Maximum number of processes
+ * @return {Object}                           User and HostConfig settings
+ */
+function getSecuritySettings(name, profile) {
+    const hostConfig = {};
+    const securityOpt = [];
+
+    if (profile.capDrop) {
+        hostConfig.CapDrop = profile.capDrop;
+    }
+    if (profile.capAdd) {
+        hostConfig.CapAdd = profile.capAdd;
+    }
+    if (profile.seccomp === 'unconfined') {
+        securityOpt.push('seccomp=unconfined');
+    } else if (profile.seccomp) {
+        // The API takes the profile itself, unlike the docker CLI
+        try {
+            securityOpt.push(`seccomp=${JSON.stringify(JSON.parse(fs.readFileSync(profile.seccomp, 'utf8')))}`);
+        } catch (err) {
+            throw new Error(`Invalid seccomp profile for security profile "${name}": ${err.message}`);
+        }
+    }
+    if (profile.apparmor) {
+        securityOpt.push(`apparmor=${profile.apparmor}`);
+    }
+    if (profile.noNewPrivileges) {
+        securityOpt.push('no-new-privileges:true');
+    }
+    if (securityOpt.length) {
+        hostConfig.SecurityOpt = securityOpt;
+    }
+    if (profile.usernsMode) {
+        hostConfig.UsernsMode = profile.usernsMode;
+    }
+    if (profile.readOnlyRootfs) {
+        hostConfig.ReadonlyRootfs = true;
+        hostConfig.Tmpfs = profile.tmpfs || DEFAULT_TMPFS;
+    }
+    if (profile.pidsLimit) {
+        hostConfig.PidsLimit = profile.pidsLimit;
+    }
+
+    return { user: profile.user, hostConfig };
+}
+
+/**
+ * Join the frames of a multiplexed Docker log stream (non-TTY containers), dropping their
+ * headers: 1 byte stream type, 3 bytes padding and a 4 bytes big endian frame size
+ * @method demuxLogs
+ * @param  {Buffer} buffer Multiplexed logs
+ * @return {String}        stdout and stderr output
+ */
+function demuxLogs(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (offset + 8 <= buffer.length) {
+        const size = buffer.readUInt32BE(offset + 4);
+
+        frames.push(buffer.slice(offset + 8, offset + 8 + size));
+        offset += 8 + size;
+    }
+
+    return Buffer.concat(frames).toString('utf8');
+}
+
+/**
+ * Read the sidecar definitions of a build, from its config or the sidecars annotation (JSON)
+ * @method getSidecars
+ * @param  {Object} config               Build configuration
+ * @param  {Array}  [config.sidecars]    Sidecar definitions
+ * @param  {Object} [config.annotations] Build annotations (screwdriver.cd/sidecars)
+ * @return {Array}                       Sidecar definitions (name, image, env, command, healthCheck)
+ */
+function getSidecars(config) {
+    let sidecars = config.sidecars || getAnnotation(config, ANNOTATION_SIDECARS) || [];
+
+    if (typeof sidecars === 'string') {
+        try {
+            sidecars = JSON.parse(sidecars);
+        } catch (err) {
+            throw new Error(`Invalid sidecars: ${err.message}`);
+        }
+    }
+
+    if (!Array.isArray(sidecars)) {
+        throw new Error('Invalid sidecars: must be a list');
+    }
+
+    sidecars.forEach(({ name, image }, index) => {
+        if (typeof name !== 'string' || !SIDECAR_NAME.test(name) || RESERVED_SIDECAR_NAMES.includes(name)) {
+            throw new Error(`Invalid sidecar name "${name}"`);
+        }
+        if (sidecars.findIndex(sidecar => sidecar.name === name) !== index) {
+            throw new Error(`Duplicate sidecar name "${name}"`);
+        }
+        if (typeof image !== 'string' || !image) {
+            throw new Error(`Sidecar ${name} has no image`);
+        }
+    });
+
+    return sidecars;
+}
+
+/**
+ * Turn the health check of a sidecar definition into a Docker health check. Durations are
+ * in seconds, a string test runs in a shell.
+ * @method getHealthcheck
+ * @param  {Object}       healthCheck              Sidecar health check
+ * @param  {Array|String} healthCheck.test         Command checking the sidecar
+ * @param  {Number}       [healthCheck.interval]    Seconds between checks
+ * @param  {Number}       [healthCheck.timeout]     Seconds before a check fails
+ * @param  {Number}       [healthCheck.retries]     Failed checks before the sidecar is unhealthy
+ * @param  {Number}       [healthCheck.startPeriod] Seconds of start up before failed checks count
+ * @return {Object}                                Docker health check
+ */
+function getHealthcheck({ test, interval, timeout, retries, startPeriod }) {
+    const nanoseconds = seconds => Math.round(seconds * NANO_SECONDS);
+
+    return {
+        Test: typeof test === 'string' ? ['CMD-SHELL', test] : test,
+        ...(interval && { Interval: nanoseconds(interval) }),
+        ...(timeout && { Timeout: nanoseconds(timeout) }),
+        ...(retries && { Retries: retries }),
+        ...(startPeriod && { StartPeriod: nanoseconds(startPeriod) })
+    };
+}
+
+/**
+ * Get the host name of a URI, for the egress allow-list
+ * @method getHostname
+ * @param  {String} uri  URI or host name
+ * @return {String}      Host name
+ */
+function getHostname(uri) {
+    try {
+        return new URL(uri).hostname;
+    } catch (err) {
+        return uri;
+    }
+}
+
+/**
+ * Check that the default and allowed profiles of a setting exist
+ * @method checkProfiles
+ * @param  {String} kind              Kind of profile used in error messages (e.g. Security profile)
+ * @param  {Object} settings          Profile settings
+ * @param  {Object} settings.profiles Profiles by name
+ * @param  {String} settings.default  Name of the profile used without annotation
+ * @param  {Array}  settings.allowed  Names of the profiles builds can pick
+ */
+function checkProfiles(kind, { profiles, default: defaultName, allowed }) {
+    [defaultName, ...allowed].forEach(name => {
+        if (!profiles[name]) {
+            throw new Error(`Unknown ${kind.toLowerCase()} "${name}"`);
+        }
+    });
+}
+
+/**
+ * Pick the profile named by an annotation when it is allowed, the default profile otherwise
+ * @method selectProfile
+ * @param  {String} kind              Kind of profile used in error messages (e.g. Security profile)
+ * @param  {String} [name]            Name from the annotation
+ * @param  {Object} settings          Profile settings
+ * @param  {Object} settings.profiles Profiles by name
+ * @param  {String} settings.default  Name of the profile used without annotation
+ * @param  {Array}  settings.allowed  Names of the profiles builds can pick
+ * @return {Object}                   Selected profile
+ */
+function selectProfile(kind, name, { profiles, default: defaultName, allowed }) {
+    if (!name || name === defaultName) {
+        return profiles[defaultName];
+    }
+
+    if (!allowed.includes(name)) {
+        throw new Error(`${kind} "${name}" is not allowed`);
+    }
+
+    return profiles[name];
+}
+
+/**
+ * Check that every Docker host has a unique name and a positive weight
+ * @method checkHosts
+ * @param  {Array}  hosts             Docker hosts from the executor options
+ */
+function checkHosts(hosts) {
+    const names = new Set();
+
+    if (!Array.isArray(hosts) || hosts.length === 0) {
+        throw new Error('Docker hosts must be a non-empty list');
+    }
+
+    hosts.forEach(({ name, weight }) => {
+        if (!name) {
+            throw new Error('Every Docker host needs a name');
+        }
+        if (names.has(name)) {
+            throw new Error(`Duplicate Docker host "${name}"`);
+        }
+        if (weight !== undefined && !(weight > 0)) {
+            throw new Error(`Invalid weight "${weight}" of Docker host "${name}": must be a number greater than 0`);
+        }
+        names.add(name);
+    });
+}
+
+/**
+ * Check the environment variables, host bind mounts and cache volumes of build containers
+ * @method checkBuildContainer
+ * @param  {Object} settings              Build container settings
+ * @param  {Object} settings.env          Environment variables by name
+ * @param  {Array}  settings.binds        Host bind mounts (source, target, readOnly)
+ * @param  {Object} settings.cacheVolumes Paths of the cache volumes by name
+ */
+function checkBuildContainer({ env, binds, cacheVolumes }) {
+    const checkTarget = (target, what) => {
+        if (typeof target !== 'string' || !path.isAbsolute(target)) {
+            throw new Error(`Invalid target "${target}" of ${what}: must be an absolute path`);
+        }
+        if (RESERVED_TARGETS.some(reserved => target === reserved || target.startsWith(`${reserved}/`))) {
+            throw new Error(`Invalid target "${target}" of ${what}: ${RESERVED_TARGETS.join(', ')} are reserved`);
+        }
+    };
+
+    Object.keys(env).forEach(name => {
+        if (!ENV_NAME.test(name)) {
+            throw new Error(`Invalid environment variable name "${name}"`);
+        }
+    });
+    binds.forEach(({ source, target }) => {
+        if (typeof source !== 'string' || !path.isAbsolute(source)) {
+            throw new Error(`Invalid bind source "${source}": must be an absolute path`);
+        }
+        // Builds get Docker through dockerAccess only
+        if (path.resolve(source) === DOCKER_SOCKET) {
+            throw new Error(`Invalid bind source "${source}": use dockerAccess to give builds Docker`);
+        }
+        checkTarget(target, `bind ${source}`);
+    });
+    Object.keys(cacheVolumes).forEach(name => {
+        if (!CACHE_VOLUME_NAME.test(name)) {
+            throw new Error(`Invalid cache volume name "${name}"`);
+        }
+        checkTarget(cacheVolumes[name], `cache volume ${name}`);
+    });
+}
+
+/**
+ * Get the ID of the pipeline of a build
+ * @method getPipelineId
+ * @param  {Object} config               A configuration object
+ * @param  {Object} [config.pipeline]    Pipeline of the build
+ * @param  {Number} [config.pipelineId]  ID of the pipeline when there is no pipeline object
+ * @return {Number}                      Pipeline ID, undefined when unknown
+ */
+function getPipelineId(config) {
+    return hoek.reach(config, 'pipeline.id', { default: config.pipelineId });
+}
+
+/**
+ * Parse the cache volumes a build opts into, given as names separated by commas
+ * @method getCacheVolumeNames
+ * @param  {Object} config            A configuration object
+ * @return {Array}                    Names of the cache volumes
+ */
+function getCacheVolumeNames(config) {
+    const value = getAnnotation(config, ANNOTATION_CACHE_VOLUMES) || [];
+    const names = (Array.isArray(value) ? value : String(value).split(','))
+        .map(name => String(name).trim())
+        .filter(Boolean);
+
+    return [...new Set(names)];
+}
+
+/**
+ * Parse the labels a build wants on its Docker host, given as key=value pairs separated by commas
+ * @method getHostSelector
+ * @param  {Object} config            A configuration object
+ * @return {Object}                   Labels by key, empty when the build runs on any host
+ */
+function getHostSelector(config) {
+    const value = getAnnotation(config, ANNOTATION_DOCKER_HOST);
+
+    if (!value) {
+        return {};
+    }
+
+    return String(value)
+        .split(',')
+        .reduce((selector, pair) => {
+            const separator = pair.indexOf('=');
+
+            if (separator < 1) {
+                throw new Error(`Invalid Docker host selector "${value}": must be key=value pairs`);
+            }
+
+            return { ...selector, [pair.slice(0, separator).trim()]: pair.slice(separator + 1).trim() };
+        }, {});
+}
+
+/**
+ * Resolve a resource annotation to an amount, either from a named tier or a custom value
+ * @method resolveResource
+ * @param  {String}        name          Resource name used in error messages (cpu, ram)
+ * @param  {String|Number} value         Tier name (MICRO, LOW, HIGH, TURBO) or custom amount
+ * @param  {Object}        settings      Resource settings
+ * @param  {Object}        settings.tiers Amount for each named tier
+ * @param  {Number}        settings.max   Upper bound for custom amounts
+ * @return {Number}                      Amount of the resource (cores or GB)
+ */
+function resolveResource(name, value, { tiers, max }) {
+    if (Object.prototype.hasOwnProperty.call(tiers, value)) {
+        return tiers[value];
+    }
+
+    const amount = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+
+    if (!Number.isFinite(amount) || amount <= 0 || amount > max) {
+        throw new Error(
+            `Invalid ${name} value "${value}": must be one of ${Object.keys(tiers).join(', ')} ` +
+                `or a number greater than 0 and at most ${max}`
+        );
+    }
+
+    return amount;
+}
 
 class DockerExecutor extends Executor {
     /**
-     * Constructor
-     * @method constructor
-     * @param  {Object} options                                      Configuration options
-     * @param  {Object} options.ecosystem                            Screwdriver Ecosystem
-     * @param  {Object} options.ecosystem.api                        Routable URI to Screwdriver API
-     * @param  {Object} options.ecosystem.store                      Routable URI to Screwdriver Store
-     * @param  {Object} options.ecosystem.ui                         Routable URI to Screwdriver UI
-     * @param  {Object} [options.docker]                             Docker configuration
-     * @param  {String} [options.docker.protocol]                    Protocol to use
-     * @param  {String} [options.docker.host]                        Docker Swarm host to interact with
-     * @param  {String} [options.docker.port]                        Port number
-     * @param  {String} [options.docker.socketPath]                  Docker socket to use
-     * @param  {String} [options.docker.ca]                          Certificate authority
-     * @param  {String} [options.docker.cert]                        Certificate to use
-     * @param  {String} [options.docker.key]                         Key for the certificate
-     * @param  {Object} [options.fusebox]                            Fusebox configuration
-     * @param  {Object} [options.fusebox.breaker]                    Breaker configuration
-     * @param  {Number} [options.fusebox.breaker.timeout=300000]     Timeout before retrying
-     * @param  {String} [options.launchImage=screwdrivercd/launcher] Launcher container version to use
-     * @param  {String} [options.launchVersion=stable]               Launcher container version to use
-     * @param  {String} [options.prefix=""]                          Prefix to all container names
+     * Constructor
+     * @method constructor
+     * @param  {Object} options                                      Configuration options
+     * @param  {Array}  [options.hosts]                              Docker hosts to spread builds over, instead of docker
+     * @param  {String} options.hosts[].name                         Name of the host
+     * @param  {Object} options.hosts[].docker                       Dockerode options of the host
+     * @param  {Number} [options.hosts[].weight=1]                   Share of the builds the host takes
+     * @param  {Object} [options.hosts[].labels]                     Labels builds can select the host by
+     * @param  {Object} options.ecosystem                            Screwdriver Ecosystem
+     * @param  {Object} options.ecosystem.api                        Routable URI to Screwdriver API
+     * @param  {Object} options.ecosystem.store                      Routable URI to Screwdriver Store
+     * @param  {Object} options.ecosystem.ui                         Routable URI to Screwdriver UI
+     * @param  {Object} [options.docker]                             Dockerode options of the Docker host
+     * @param  {String} [options.docker.protocol]                    Protocol to use
+     * @param  {String} [options.docker.host]                        Docker Swarm host to interact with
+     * @param  {String} [options.docker.port]                        Port number
+     * @param  {String} [options.docker.socketPath]                  Docker socket to use
+     * @param  {String} [options.docker.ca]                          Certificate authority
+     * @param  {String} [options.docker.cert]                        Certificate to use
+     * @param  {String} [options.docker.key]                         Key for the certificate
+     * @param  {Object} [options.fusebox]                            Fusebox configuration
+     * @param  {Object} [options.fusebox.breaker]                    Breaker configuration
+     * @param  {Number} [options.fusebox.breaker.timeout=300000]     Timeout before retrying
+     * @param  {String} [options.launchImage=screwdrivercd/launcher] Launcher container version to use
+     * @param  {String} [options.launchVersion=stable]               Launcher container version to use
+     * @param  {String} [options.prefix=""]                          Prefix to all container names
+     * @param  {String} [options.instanceId=<prefix>executor]        Name of this executor on its build containers, stable across restarts
+     * @param  {Number} [options.pollInterval=30000]                 Milliseconds between status checks of watched builds
+     * @param  {String} [options.frozenFile]                         File keeping the schedule of frozen builds (in ~/.screwdriver-executor-docker)
+     * @param  {Number} [options.frozenInterval=60000]               Milliseconds between checks for frozen builds to release
+     * @param  {Object} [options.registries]                         Credentials by registry host (docker.io for Docker Hub)
+     * @param  {String} [options.registries.username]                Registry username
+     * @param  {String} [options.registries.password]                Registry password
+     * @param  {String} [options.registries.identitytoken]           Registry identity token
+     * @param  {String} [options.dockerConfig]                       Path to a Docker config.json with auths/credHelpers
+     * @param  {Number} [options.credentialHelperTimeout=30000]      Milliseconds a credential helper gets to answer
+     * @param  {String} [options.imagePullPolicy=Always]             When to pull images: Always, IfNotPresent or Never
+     * @param  {Number} [options.pullTimeout=900000]                 Milliseconds to wait for an image pull to finish
+     * @param  {Function} [options.onPullProgress]                   Called with the image and each pull progress event
+     * @param  {Object} [options.swarm]                              Docker Swarm service mode
+     * @param  {Boolean} [options.swarm.enabled=false]               Run builds as Swarm services instead of containers
+     * @param  {Array}  [options.swarm.constraints]                  Placement constraints for build services
+     * @param  {Number} [options.swarm.launcherTimeout=300000]       Milliseconds to wait for the launcher on every node
+     * @param  {Object} [options.dockerAccess]                       Which builds get to use Docker (none by default)
+     * @param  {Array}  [options.dockerAccess.pipelines]             IDs of the pipelines whose builds always get Docker
+     * @param  {Boolean} [options.dockerAccess.annotation=false]     Give Docker to builds annotated with dockerEnabled
+     * @param  {String} [options.dockerAccess.mode=socket]           socket (privileged, host socket) or dind (sidecar)
+     * @param  {String} [options.dockerAccess.dindImage=docker:dind] Image of the Docker-in-Docker sidecar
+     * @param  {Object} [options.security]                           Security profiles of build containers
+     * @param  {Object} [options.security.profiles]                  Security profiles by name
+     * @param  {String} [options.security.default=default]           Profile used without the securityProfile annotation
+     * @param  {Array}  [options.security.allowed]                   Profiles builds can pick with the annotation
+     * @param  {String} [options.security.sidecarProfile]            Profile of sidecars, none by default
+     * @param  {Object} [options.network]                            Network policies of builds
+     * @param  {Object} [options.network.profiles]                   Network policies by name (internal, egress, dns, extraHosts)
+     * @param  {String} [options.network.default=default]            Policy used without the network annotation
+     * @param  {Array}  [options.network.allowed]                    Policies builds can pick with the annotation
+     * @param  {String} [options.network.proxyImage]                 Image of the egress proxy
+     * @param  {Number} [options.network.proxyPort=3128]             Port the egress proxy listens on
+     * @param  {Object} [options.logs]                               Build container output
+     * @param  {String} [options.logs.dir]                           Directory to write the output of builds to
+     * @param  {Boolean} [options.logs.store=false]                  Push the output to the store as a build artifact
+     * @param  {Number} [options.logs.maxBytes=10485760]             Most output pushed to the store per build
+     * @param  {String} [options.stopSignal=SIGTERM]                 Signal sent to the build container on stop
+     * @param  {Number} [options.terminationGracePeriod=30]          Seconds the build gets to exit before it is killed
+     * @param  {Boolean} [options.retainVolumes=false]               Keep the volumes of removed build containers
+     * @param  {Number} [options.sidecarTimeout=120000]              Milliseconds to wait for sidecars to be healthy
+     * @param  {Object} [options.env]                                Environment variables of every build container
+     * @param  {Array}  [options.binds]                              Host paths mounted in every build container
+     * @param  {String} options.binds[].source                       Path on the Docker host
+     * @param  {String} options.binds[].target                       Path in the build container
+     * @param  {Boolean} [options.binds[].readOnly=true]             Mount the path read-only
+     * @param  {Object} [options.cacheVolumes]                       Paths of the cache volumes builds can opt into by name
+     * @param  {Object} [options.capacity]                           Limits on the builds running at once, 0 for none
+     * @param  {Number} [options.capacity.maxBuilds=0]               Most builds running at once
+     * @param  {Number} [options.capacity.cpu=0]                     Most CPU cores of the running builds together
+     * @param  {Number} [options.capacity.memory=0]                  Most memory (in GB) of the running builds together
+     * @param  {String} [options.capacity.queue=fifo]                Order of waiting builds: fifo or priority
+     * @param  {Number} [options.capacity.interval=10000]            Milliseconds between checks for room for waiting builds
+     * @param  {Object} [options.health]                             Daemon health checks
+     * @param  {Number} [options.health.timeout=10000]               Milliseconds each check gets to answer
+     * @param  {String} [options.health.minApiVersion=1.41]          Oldest Docker API version builds can run on
+     * @param  {Number} [options.health.minFreeDisk=5]               Least GB of free disk space in the Docker root
+     * @param  {Object} [options.metrics]                            Prometheus metrics
+     * @param  {String} [options.metrics.prefix=sd_executor_docker_] Prefix of the metric names
+     * @param  {Object} [options.reaper]                             Garbage collection of orphaned build containers
+     * @param  {Number} [options.reaper.interval=300000]             Milliseconds between runs, 0 to only run on cleanup()
+     * @param  {Number} [options.reaper.maxAge=3600000]              Milliseconds to keep build containers after they exit
+     * @param  {Number} [options.reaper.grace=900000]                Milliseconds past the build timeout before killing builds
+     * @param  {Object} [options.resources]                          Build container resources
+     * @param  {String} [options.resources.cpu.default=LOW]          CPU tier or cores used when not annotated
+     * @param  {Number} [options.resources.cpu.max=12]               Upper bound for custom CPU value (in cores)
+     * @param  {Number} [options.resources.cpu.turbo=12]             Value for TURBO CPU (in cores)
+     * @param  {Number} [options.resources.cpu.high=6]               Value for HIGH CPU (in cores)
+     * @param  {Number} [options.resources.cpu.low=2]                Value for LOW CPU (in cores)
+     * @param  {Number} [options.resources.cpu.micro=0.5]            Value for MICRO CPU (in cores)
+     * @param  {String} [options.resources.memory.default=LOW]       Memory tier or GB used when not annotated
+     * @param  {Number} [options.resources.memory.max=16]            Upper bound for custom memory value (in GB)
+     * @param  {Number} [options.resources.memory.turbo=16]          Value for TURBO memory (in GB)
+     * @param  {Number} [options.resources.memory.high=12]           Value for HIGH memory (in GB)
+     * @param  {Number} [options.resources.memory.low=2]             Value for LOW memory (in GB)
+     * @param  {Number} [options.resources.memory.micro=1]           Value for MICRO memory (in GB)
+     * @param  {Number} [options.resources.memory.swap=1]            Swap allowed on top of the memory (in GB)
+     */
+    constructor(options) {
+        super();
+
+        this.ecosystem = options.ecosystem;
+        this.launchVersion = options.launchVersion || 'stable';
+        this.launchImage = options.launchImage || 'screwdrivercd/launcher';
+        this.prefix = options.prefix || '';
+        // Not the hostname, which changes with every restart of a containerized executor
+        this.instanceId = options.instanceId || `${this.prefix}executor`;
+        this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+        this.watches = new Map();
+        this.frozenFile = options.frozenFile || path.join(STATE_DIR, `${this.prefix}frozen.json`);
+        this.frozenInterval = options.frozenInterval || DEFAULT_FROZEN_INTERVAL;
+        this.registries = options.registries || {};
+        this.dockerConfig = options.dockerConfig;
+        this.credentialHelperTimeout = options.credentialHelperTimeout || DEFAULT_CREDENTIAL_HELPER_TIMEOUT;
+        this.imagePullPolicy = options.imagePullPolicy || 'Always';
+        this.pullTimeout = options.pullTimeout || DEFAULT_PULL_TIMEOUT;
+        this.onPullProgress = options.onPullProgress;
+        this.swarm = {
+            enabled: hoek.reach(options, 'swarm.enabled', { default: false }),
+            constraints: hoek.reach(options, 'swarm.constraints', { default: [] }),
+            launcherTimeout: hoek.reach(options, 'swarm.launcherTimeout', { default: DEFAULT_LAUNCHER_TIMEOUT })
+        };
+        this.launchers = new Map();
+        this.dockerAccess = {
+            pipelines: hoek.reach(options, 'dockerAccess.pipelines', { default: [] }).map(String),
+            annotation: hoek.reach(options, 'dockerAccess.annotation', { default: false }),
+            mode: hoek.reach(options, 'dockerAccess.mode', { default: 'socket' }),
+            dindImage: hoek.reach(options, 'dockerAccess.dindImage', { default: 'docker:dind' })
+        };
+        this.security = {
+            default: hoek.reach(options, 'security.default', { default: 'default' }),
+            allowed: hoek.reach(options, 'security.allowed', { default: [] }),
+            sidecarProfile: hoek.reach(options, 'security.sidecarProfile'),
+            profiles: Object.entries({
+                default: {},
+                ...hoek.reach(options, 'security.profiles', { default: {} })
+            }).reduce((settings, [name, profile]) => ({ ...settings, [name]: getSecuritySettings(name, profile) }), {})
+        };
+        this.network = {
+            default: hoek.reach(options, 'network.default', { default: 'default' }),
+            allowed: hoek.reach(options, 'network.allowed', { default: [] }),
+            profiles: { default: {}, ...hoek.reach(options, 'network.profiles', { default: {} }) },
+            proxyImage: hoek.reach(options, 'network.proxyImage'),
+            proxyPort: hoek.reach(options, 'network.proxyPort', { default: DEFAULT_PROXY_PORT })
+        };
+        this.logs = {
+            dir: hoek.reach(options, 'logs.dir'),
+            store: hoek.reach(options, 'logs.store', { default: false }),
+            maxBytes: hoek.reach(options, 'logs.maxBytes', { default: DEFAULT_LOG_MAX_BYTES })
+        };
+        this.stopSignal = hoek.reach(options, 'stopSignal', { default: 'SIGTERM' });
+        this.terminationGracePeriod = hoek.reach(options, 'terminationGracePeriod', {
+            default: DEFAULT_TERMINATION_GRACE_PERIOD
+        });
+        this.retainVolumes = hoek.reach(options, 'retainVolumes', { default: false });
+        this.sidecarTimeout = hoek.reach(options, 'sidecarTimeout', { default: DEFAULT_SIDECAR_TIMEOUT });
+        this.buildContainer = {
+            env: options.env || {},
+            binds: options.binds || [],
+            cacheVolumes: options.cacheVolumes || {}
+        };
+        this.capacity = {
+            maxBuilds: hoek.reach(options, 'capacity.maxBuilds', { default: 0 }),
+            cpu: hoek.reach(options, 'capacity.cpu', { default: 0 }),
+            memory: hoek.reach(options, 'capacity.memory', { default: 0 }),
+            queue: hoek.reach(options, 'capacity.queue', { default: 'fifo' }),
+            interval: hoek.reach(options, 'capacity.interval', { default: DEFAULT_QUEUE_INTERVAL })
+        };
+        this.health = {
+            timeout: hoek.reach(options, 'health.timeout', { default: DEFAULT_HEALTH_TIMEOUT }),
+            minApiVersion: hoek.reach(options, 'health.minApiVersion', { default: DEFAULT_MIN_API_VERSION }),
+            minFreeDisk: hoek.reach(options, 'health.minFreeDisk', { default: DEFAULT_MIN_FREE_DISK })
+        };
+        this.queue = [];
+        this.queueTimer = null;
+        this.queueOrder = 0;
+        this.starting = new Map();
+        this.draining = Promise.resolve();
+        this.reaper = {
+            interval: hoek.reach(options, 'reaper.interval', { default: DEFAULT_REAPER_INTERVAL }),
+            maxAge: hoek.reach(options, 'reaper.maxAge', { default: DEFAULT_REAPER_MAX_AGE }),
+            grace: hoek.reach(options, 'reaper.grace', { default: DEFAULT_REAPER_GRACE }),
+            timer: null,
+            running: null,
+            stats: { runs: 0, removed: 0, killed: 0, failed: 0, lastRun: null }
+        };
+
+        this._checkOptions(options);
+        this.cpu = {
+            default: hoek.reach(options, 'resources.cpu.default', { default: 'LOW' }),
+            max: hoek.reach(options, 'resources.cpu.max', { default: 12 }),
+            tiers: {
+                TURBO: hoek.reach(options, 'resources.cpu.turbo', { default: 12 }),
+                HIGH: hoek.reach(options, 'resources.cpu.high', { default: 6 }),
+                LOW: hoek.reach(options, 'resources.cpu.low', { default: 2 }),
+                MICRO: hoek.reach(options, 'resources.cpu.micro', { default: 0.5 })
+            }
+        };
+        this.memory = {
+            default: hoek.reach(options, 'resources.memory.default', { default: 'LOW' }),
+            max: hoek.reach(options, 'resources.memory.max', { default: 16 }),
+            swap: hoek.reach(options, 'resources.memory.swap', { default: 1 }),
+            tiers: {
+                TURBO: hoek.reach(options, 'resources.memory.turbo', { default: 16 }),
+                HIGH: hoek.reach(options, 'resources.memory.high', { default: 12 }),
+                LOW: hoek.reach(options, 'resources.memory.low', { default: 2 }),
+                MICRO: hoek.reach(options, 'resources.memory.micro', { default: 1 })
+            }
+        };
+
+        this.prometheus = this._createMetrics(
+            hoek.reach(options, 'metrics.prefix', { default: DEFAULT_METRICS_PREFIX })
+        );
+        this.hosts = this._createHosts(options);
+        this.placements = new Map();
+        this.deadlines = new Map();
+        this.events = new EventEmitter();
+
+        // Swarm services and Docker calls without a host go to the first host
+        this.docker = this.hosts[0].docker;
+        this.breaker = this.hosts[0].breaker;
+        this._loadFrozen();
+
+        if (this.logs.dir) {
+            fs.mkdirSync(this.logs.dir, { recursive: true });
+        }
+
+        this._scheduleReaper();
+    }
+
+    /**
+     * Run cleanup every reaper.interval, unless the interval is 0
+     * @method _scheduleReaper
+     */
+    _scheduleReaper() {
+        if (this.reaper.interval > 0) {
+            this.reaper.timer = setInterval(
+                () => this.cleanup().catch(err => logger.error(`Failed to clean up build containers: ${err.message}`)),
+                this.reaper.interval
+            );
+            this.reaper.timer.unref();
+        }
+    }
+
+    /**
+     * Check the options of the executor that cannot be used together or refer to each other
+     * @method _checkOptions
+     * @param  {Object} options Configuration options given to the constructor
+     */
+    _checkOptions(options) {
+        if (!IMAGE_PULL_POLICIES.includes(this.imagePullPolicy)) {
+            throw new Error(`Invalid image pull policy "${this.imagePullPolicy}"`);
+        }
+        if (!DOCKER_ACCESS_MODES.includes(this.dockerAccess.mode)) {
+            throw new Error(`Invalid docker access mode "${this.dockerAccess.mode}"`);
+        }
+        if (this.swarm.enabled && this.dockerAccess.mode === 'dind') {
+            throw new Error('Docker-in-Docker builds are not supported in swarm mode');
+        }
+        checkProfiles('Security profile', this.security);
+        if (this.security.sidecarProfile && !this.security.profiles[this.security.sidecarProfile]) {
+            throw new Error(`Unknown security profile "${this.security.sidecarProfile}"`);
+        }
+        checkProfiles('Network policy', this.network);
+        Object.keys(this.network.profiles).forEach(name => {
+            const { internal, egress } = this.network.profiles[name];
+
+            // The launcher reports to the API and the store, an internal network reaches them through the proxy
+            if ((internal || egress) && !this.network.proxyImage) {
+                throw new Error(`Network policy "${name}" needs a network.proxyImage for its egress proxy`);
+            }
+        });
+        if (this.swarm.enabled && options.security) {
+            throw new Error('Security profiles are not supported in swarm mode');
+        }
+        if (!['fifo', 'priority'].includes(this.capacity.queue)) {
+            throw new Error(`Invalid queue order "${this.capacity.queue}"`);
+        }
+        if (this.swarm.enabled && options.capacity) {
+            throw new Error('Capacity limits are not supported in swarm mode');
+        }
+        if (this.swarm.enabled && options.network) {
+            throw new Error('Network policies are not supported in swarm mode');
+        }
+        if (options.hosts !== undefined) {
+            checkHosts(options.hosts);
+        }
+        if (this.swarm.enabled && options.hosts) {
+            throw new Error('Multiple Docker hosts are not supported in swarm mode');
+        }
+        checkBuildContainer(this.buildContainer);
+    }
+
+    /**
+     * Create the Prometheus metrics of the executor, in a registry of its own
+     * @method _createMetrics
+     * @param  {String}   prefix   Prefix of the metric names
+     * @return {Object}            Registry and metrics
+     */
+    _createMetrics(prefix) {
+        const registry = new prometheus.Registry();
+        const countRunningBuilds = gauge => this._countRunningBuilds(gauge);
+
+        return {
+            registry,
+            pullDuration: new prometheus.Histogram({
+                name: `${prefix}image_pull_duration_seconds`,
+                help: 'Time to pull images, including pulls that failed',
+                labelNames: ['host'],
+                buckets: PULL_BUCKETS,
+                registers: [registry]
+            }),
+            createDuration: new prometheus.Histogram({
+                name: `${prefix}container_create_duration_seconds`,
+                help: 'Time to create containers',
+                labelNames: ['host'],
+                registers: [registry]
+            }),
+            startDuration: new prometheus.Histogram({
+                name: `${prefix}container_start_duration_seconds`,
+                help: 'Time to start containers',
+                labelNames: ['host'],
+                registers: [registry]
+            }),
+            stopDuration: new prometheus.Histogram({
+                name: `${prefix}build_stop_duration_seconds`,
+                help: 'Time to stop builds, including the grace period of the build container',
+                buckets: STOP_BUCKETS,
+                registers: [registry]
+            }),
+            startFailures: new prometheus.Counter({
+                name: `${prefix}build_start_failures_total`,
+                help: 'Builds that failed to start, by the step they failed at',
+                labelNames: ['reason'],
+                registers: [registry]
+            }),
+            dockerErrors: new prometheus.Counter({
+                name: `${prefix}docker_errors_total`,
+                help: 'Failed Docker API calls, retries included',
+                labelNames: ['host', 'operation'],
+                registers: [registry]
+            }),
+            runningBuilds: new prometheus.Gauge({
+                name: `${prefix}running_builds`,
+                help: 'Build containers that did not exit yet',
+                labelNames: ['host'],
+                registers: [registry],
+                // Counted from the daemons on every scrape
+                collect() {
+                    return countRunningBuilds(this);
+                }
+            })
+        };
+    }
+
+    /**
+     * Connect to the Docker hosts. Every host has a circuit breaker of its own, a daemon that
+     * is down does not stop builds on the others.
+     * @method _createHosts
+     * @param  {Object}   options  Configuration options given to the constructor
+     * @return {Array}             Docker hosts
+     */
+    _createHosts(options) {
+        const breakerOptions = hoek.applyToDefaults(
+            {
+                breaker: {
+                    maxFailures: 10,
+                    timeout: 5 * 60 * 1000 // Default to 5 minute timeout,
+                }
+            },
+            options.fusebox || {}
+        );
+
+        return (options.hosts || [{ name: 'default', docker: options.docker }]).map(host => ({
+            name: host.name,
+            weight: host.weight || 1,
+            labels: host.labels || {},
+            docker: new Docker(host.docker),
+            breaker: this._createBreaker(host.name, breakerOptions),
+            pulls: new Map(),
+            launchers: new Map(),
+            eventWatch: null
+        }));
+    }
+
+    /**
+     * Create the circuit breaker of a Docker host, counting the Docker calls that fail
+     * @method _createBreaker
+     * @param  {String}   name            Name of the host
+     * @param  {Object}   breakerOptions  Circuit breaker options
+     * @return {Fusebox}
+     */
+    _createBreaker(name, breakerOptions) {
+        return new Fusebox(
+            (obj, cb) =>
+                obj.func((err, result) => {
+                    if (err) {
+                        this.prometheus.dockerErrors.inc({ host: name, operation: obj.operation });
+                    }
+
+                    cb(err, result);
+                }),
+            breakerOptions
+        );
+    }
+
+    /**
+     * Set the running builds of every Docker host, hosts that fail keep their last count
+     * @method _countRunningBuilds
+     * @param  {Gauge}    gauge    Running builds gauge
+     * @return {Promise}
+     */
+    _countRunningBuilds(gauge) {
+        return Promise.all(
+            this.hosts.map(host =>
+                this._listBuildContainers(host).then(
+                    containers =>
+                        gauge.set(
+                            { host: host.name },
+                            containers.filter(
+                                container =>
+                                    ACTIVE_STATES.includes(container.State) &&
+                                    container.Names.includes(`/${container.Labels.sdbuild}-build`)
+                            ).length
+                        ),
+                    err => logger.error(`Failed to count the builds on Docker host ${host.name}: ${err.message}`)
+                )
+            )
+        );
+    }
+
+    /**
+     * Count and announce a build that failed to start, and drop its placement
+     * @method _startFailed
+     * @param  {Object}   config          A configuration object
+     * @param  {Integer}  config.buildId  ID for the build
+     * @param  {String}   reason          Step the build failed at
+     * @param  {Error}    err             Start failure
+     * @return {Promise}                  Rejects with the start failure
+     */
+    _startFailed(config, reason, err) {
+        // The build no longer counts as starting on its host
+        this.placements.delete(config.buildId);
+        this.prometheus.startFailures.inc({ reason });
+        this._emit('failed', { buildId: config.buildId, reason, message: err.message });
+
+        return Promise.reject(err);
+    }
+
+    /**
+     * Run a task on every Docker host. Hosts that fail are skipped, unless the task fails on
+     * the required host or on every host.
+     * @method _onEveryHost
+     * @param  {String}   action     What the task does, for the logs
+     * @param  {Function} task       Gets the Docker host, returns a Promise
+     * @param  {Object}   [required] Docker host the task has to succeed on
+     * @return {Promise}             Resolves to the results of the hosts that did not fail
+     */
+    _onEveryHost(action, task, required) {
+        return Promise.all(
+            this.hosts.map(host =>
+                task(host).then(
+                    result => ({ host, result }),
+                    error => ({ host, error })
+                )
+            )
+        ).then(outcomes => {
+            const failed = outcomes.filter(outcome => outcome.error);
+            const fatal = failed.find(outcome => outcome.host === required);
+
+            if (fatal || (failed.length > 0 && failed.length === outcomes.length)) {
+                throw (fatal || failed[0]).error;
+            }
+
+            failed.forEach(({ host, error }) =>
+                logger.error(`Failed to ${action} on Docker host ${host.name}: ${error.message}`)
+            );
+
+            return outcomes.filter(outcome => !outcome.error).map(outcome => outcome.result);
+        });
+    }
+
+    /**
+     * Find the Docker hosts a build can run on, the ones with every label of its dockerHost annotation
+     * @method _getHosts
+     * @param  {Object}   config   A configuration object
+     * @return {Array}             Docker hosts
+     */
+    _getHosts(config) {
+        const selector = getHostSelector(config);
+        const hosts = this.hosts.filter(host =>
+            Object.keys(selector).every(
+                key => host.labels[key] !== undefined && String(host.labels[key]) === selector[key]
+            )
+        );
+
+        if (hosts.length === 0) {
+            throw new Error(`No Docker host matches "${getAnnotation(config, ANNOTATION_DOCKER_HOST)}"`);
+        }
+
+        return hosts;
+    }
+
+    /**
+     * Count the builds on a Docker host: build containers that did not exit yet, and builds
+     * placed on the host that have no build container so far
+     * @method _countBuilds
+     * @param  {Object}   host     Docker host
+     * @return {Promise}           Resolves to the number of builds
+     */
+    _countBuilds(host) {
+        return this._listBuildContainers(host).then(containers => {
+            const builds = containers.filter(container =>
+                container.Names.includes(`/${container.Labels.sdbuild}-build`)
+            );
+            const created = new Set(builds.map(container => container.Labels.sdbuild));
+            const starting = [...this.placements].filter(
+                ([buildId, placed]) => placed === host && !created.has(`${this.prefix}${buildId}`)
+            );
+
+            return builds.filter(container => ACTIVE_STATES.includes(container.State)).length + starting.length;
+        });
+    }
+
+    /**
+     * Pick the Docker host with the fewest builds for its weight. Hosts with an open circuit
+     * breaker are left out until the breaker closes again.
+     * @method _pickHost
+     * @param  {Object}   config   A configuration object
+     * @param  {Integer}  config.buildId ID for the build
+     * @param  {Array}    hosts    Docker hosts the build can run on
+     * @return {Promise}           Resolves to the Docker host
+     */
+    _pickHost(config, hosts) {
+        const available = hosts.filter(host => host.breaker.isClosed());
+
+        if (available.length <= 1) {
+            return available.length
+                ? Promise.resolve(available[0])
+                : Promise.reject(new Error(`No Docker host is available for build ${config.buildId}`));
+        }
+
+        return Promise.all(
+            available.map(host =>
+                this._countBuilds(host).then(
+                    builds => ({ host, load: builds / host.weight }),
+                    err => {
+                        logger.error(`Failed to count the builds on Docker host ${host.name}: ${err.message}`);
+
+                        return null;
+                    }
+                )
+            )
+        ).then(loads => {
+            const candidates = loads.filter(Boolean);
+
+            if (candidates.length === 0) {
+                throw new Error(`No Docker host is available for build ${config.buildId}`);
+            }
+
+            return candidates.reduce((best, candidate) => (candidate.load < best.load ? candidate : best)).host;
+        });
+    }
+
+    /**
+     * Create a Docker container
+     * @method _createContainer
+     * @param  {Object}   options Docker container options
+     * @param  {Object}   [host]  Docker host, the first host by default
+     * @return {Promise}          Docker container object
+     */
+    _createContainer(options, host = this.hosts[0]) {
+        const end = this.prometheus.createDuration.startTimer({ host: host.name });
+
+        return host.breaker
+            .runCommand({
+                operation: 'createContainer',
+                func: cb => host.docker.createContainer(options, cb)
+            })
+            .finally(end);
+    }
+
+    /**
+     * Create a Docker image, waiting for the pull to finish
+     * @method _createImage
+     * @param  {Object}   options Docker image options
+     * @param  {Object}   [host]  Docker host, the first host by default
+     * @return {Promise}          Pull progress events
+     */
+    _createImage(options, host = this.hosts[0]) {
+        const image = `${options.fromImage}:${options.tag}`;
+        const end = this.prometheus.pullDuration.startTimer({ host: host.name });
+
+        return host.breaker
+            .runCommand({
+                operation: 'createImage',
+                func: cb => host.docker.createImage(options, cb)
+            })
+            .catch(err => {
+                throw pullError(image, err.message);
+            })
+            .then(stream => this._followPull(image, stream, host))
+            .finally(end);
+    }
+
+    /**
+     * Consume the progress stream of an image pull until it is done
+     * @method _followPull
+     * @param  {String}   image   Image name and tag
+     * @param  {Stream}   stream  Pull progress stream from the Docker daemon
+     * @param  {Object}   [host]  Docker host, the first host by default
+     * @return {Promise}          Pull progress events
+     */
+    _followPull(image, stream, host = this.hosts[0]) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                if (typeof stream.destroy === 'function') {
+                    stream.destroy();
+                }
+
+                reject(pullError(image, `timed out after ${this.pullTimeout}ms`));
+            }, this.pullTimeout);
+
+            host.docker.modem.followProgress(
+                stream,
+                (err, output) => {
+                    // Registry failures (manifest unknown, unauthorized) arrive as progress events
+                    const failed = (output || []).find(event => event.error);
+
+                    clearTimeout(timer);
+
+                    if (err || failed) {
+                        return reject(pullError(image, err ? err.message : failed.error));
+                    }
+
+                    return resolve(output);
+                },
+                event => {
+                    if (this.onPullProgress) {
+                        this.onPullProgress(image, event);
+                    }
+                }
+            );
+        });
+    }
+
+    /**
+     * Inspect a local Docker image
+     * @method _inspectImage
+     * @param  {String}   name    Image name and tag
+     * @param  {Object}   [host]  Docker host, the first host by default
+     * @return {Promise}          Docker image inspect data, null if the image is not present
+     */
+    _inspectImage(name, host = this.hosts[0]) {
+        return host.breaker.runCommand({
+            operation: 'inspectImage',
+            func: cb =>
+                host.docker.getImage(name).inspect((err, info) => {
+                    if (err && err.statusCode === 404) {
+                        return cb(null, null);
+                    }
+
+                    return cb(err, info);
+                })
+        });
+    }
+
+    /**
+     * Find the credentials to pull images from a registry, first in the executor options
+     * then in the Docker config.json (credHelpers, auths and credsStore)
+     * @method _getRegistryAuth
+     * @param  {String}   registry Registry host from docker-parse-image, null for Docker Hub
+     * @return {Promise}           Resolves to a Docker authconfig, undefined for anonymous pulls
+     */
+    _getRegistryAuth(registry) {
+        const keys = registryKeys(registry);
+        const serverAddress = keys[0] === DOCKER_HUB_REGISTRIES[0] ? DOCKER_HUB_REGISTRIES[2] : keys[0];
+        const configured = keys.map(key => this.registries[key]).find(Boolean);
+
+        if (configured) {
+            return Promise.resolve({ serveraddress: serverAddress, ...configured });
+        }
+
+        if (!this.dockerConfig) {
+            return Promise.resolve(undefined);
+        }
+
+        return fs.promises.readFile(this.dockerConfig, 'utf8').then(contents => {
+            const dockerConfig = JSON.parse(contents);
+            const helper = keys.map(key => hoek.reach(dockerConfig, ['credHelpers', key])).find(Boolean);
+            const auth = keys.map(key => hoek.reach(dockerConfig, ['auths', key])).find(Boolean);
+
+            if (helper) {
+                return getHelperCredentials(helper, serverAddress, this.credentialHelperTimeout);
+            }
+
+            if (auth && auth.identitytoken) {
+                return { identitytoken: auth.identitytoken, serveraddress: serverAddress };
+            }
+
+            if (auth && auth.auth) {
+                const decoded = Buffer.from(auth.auth, 'base64').toString();
+                const separator = decoded.indexOf(':');
+
+                return {
+                    username: decoded.slice(0, separator),
+                    password: decoded.slice(separator + 1),
+                    serveraddress: serverAddress
+                };
+            }
+
+            if (dockerConfig.credsStore) {
+                return getHelperCredentials(dockerConfig.credsStore, serverAddress, this.credentialHelperTimeout);
+            }
+
+            return undefined;
+        });
+    }
+
+    /**
+     * Pull an image following the pull policy, authenticating against its registry when
+     * credentials are known. Concurrent pulls of the same image share a single pull.
+     * @method _pullImage
+     * @param  {Object}   options               Image options
+     * @param  {String}   options.fromImage     Image to pull
+     * @param  {String}   options.tag           Tag to pull
+     * @param  {String}   [options.registry]    Registry host of the image, null for Docker Hub
+     * @param  {String}   [options.pullPolicy]  Always, IfNotPresent or Never (defaults to the executor policy)
+     * @param  {Object}   [host]                Docker host, the first host by default
+     * @return {Promise}
+     */
+    _pullImage({ fromImage, tag, registry, pullPolicy = this.imagePullPolicy }, host = this.hosts[0]) {
+        const image = `${fromImage}:${tag}`;
+
+        if (host.pulls.has(image)) {
+            return host.pulls.get(image);
+        }
+
+        const lookup = pullPolicy === 'Always' ? Promise.resolve(null) : this._inspectImage(image, host);
+        const pull = lookup
+            .then(info => {
+                if (info) {
+                    return null;
+                }
+
+                if (pullPolicy === 'Never') {
+                    throw new Error(`Image ${image} is not present and the image pull policy is Never`);
+                }
+
+                return this._getRegistryAuth(registry).then(authconfig => {
+                    const options = { fromImage, tag };
+
+                    if (authconfig) {
+                        options.authconfig = authconfig;
+                    }
+
+                    return this._createImage(options, host);
+                });
+            })
+            .finally(() => host.pulls.delete(image));
+
+        host.pulls.set(image, pull);
+
+        return pull;
+    }
+
+    /**
+     * Start a Docker container
+     * @method _startContainer
+     * @param  {Container}   container Docker container to start
+     * @param  {Object}      [host]    Docker host, the first host by default
+     * @return {Promise}
+     */
+    _startContainer(container, host = this.hosts[0]) {
+        const end = this.prometheus.startDuration.startTimer({ host: host.name });
+
+        return host.breaker
+            .runCommand({
+                operation: 'startContainer',
+                func: cb => container.start(cb)
+            })
+            .finally(end);
+    }
+
+    /**
+     * Copy the build token into the token volume of a build container before it starts
+     * @method _putToken
+     * @param  {Container}   container Docker container of the build
+     * @param  {String}      token     Build token
+     * @param  {Object}      [host]    Docker host, the first host by default
+     * @return {Promise}
+     */
+    _putToken(container, token, host = this.hosts[0]) {
+        return host.breaker.runCommand({
+            operation: 'putArchive',
+            // A new archive on every try, a stream can only be read once
+            func: cb => container.putArchive(packToken(token), { path: TOKEN_DIR }, cb)
+        });
+    }
+
+    /**
+     * Inspect a Docker container
+     * @method _inspectContainer
+     * @param  {Container}   container Docker container to inspect
+     * @param  {Object}      [host]    Docker host, the first host by default
+     * @return {Promise}               Docker container inspect data
+     */
+    _inspectContainer(container, host = this.hosts[0]) {
+        return host.breaker.runCommand({
+            operation: 'inspectContainer',
+            func: cb => container.inspect(cb)
+        });
+    }
+
+    /**
+     * Remove a Docker container
+     * @method _removeContainer
+     * @param  {Container}   container Docker container to remove
+     * @param  {Object}      [host]    Docker host, the first host by default
+     * @return {Promise}
+     */
+    _removeContainer(container, host = this.hosts[0]) {
+        return host.breaker.runCommand({
+            operation: 'removeContainer',
+            func: cb => container.remove({ v: !this.retainVolumes, force: true }, cb)
+        });
+    }
+
+    /**
+     * Kill a running Docker container
+     * @method _killContainer
+     * @param  {Container}   container Docker container to kill
+     * @param  {String}      [signal]  Signal to send instead of SIGKILL
+     * @param  {Object}      [host]    Docker host, the first host by default
+     * @return {Promise}
+     */
+    _killContainer(container, signal, host = this.hosts[0]) {
+        return host.breaker.runCommand({
+            operation: 'killContainer',
+            func: cb =>
+                container.kill(signal ? { signal } : {}, err => {
+                    // The container is already gone or no longer running
+                    if (err && [404, 409].includes(err.statusCode)) {
+                        return cb(null, null);
+                    }
+
+                    return cb(err);
+                })
+        });
+    }
+
+    /**
+     * Wait for a Docker container to stop running, for at most a grace period. Waiting is not
+     * retried, the grace period is the timeout.
+     * @method _waitForExit
+     * @param  {Container}   container   Docker container to wait for
+     * @param  {Number}      gracePeriod Seconds to wait at most
+     * @return {Promise}                 Resolves once the container stopped or the time is up
+     */
+    _waitForExit(container, gracePeriod) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, gracePeriod * 1000);
+
+            // A container that is already gone has nothing left to wait for
+            container.wait(() => {
+                clearTimeout(timer);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Find Docker containers
+     * @method _findContainers
+     * @param  {Integer}  buildId Build ID to find
+     * @param  {Object}   [host]  Docker host, the first host by default
+     * @return {Promise}          List of containers
+     */
+    _findContainers(buildId, host = this.hosts[0]) {
+        const listArgs = {
+            filters: JSON.stringify({
+                label: [`sdbuild=${this.prefix}${buildId}`]
+            }),
+            all: true
+        };
+
+        return host.breaker
+            .runCommand({
+                operation: 'listContainers',
+                func: cb => host.docker.listContainers(listArgs, cb)
+            })
+            .then(containers => containers.map(container => host.docker.getContainer(container.Id)));
+    }
+
+    /**
+     * List the build containers of every build of this executor, leaving out other prefixes
+     * @method _listBuildContainers
+     * @param  {Object}   [host]   Docker host, the first host by default
+     * @return {Promise}  Docker container list entries
+     */
+    _listBuildContainers(host = this.hosts[0]) {
+        const pattern = new RegExp(`^${hoek.escapeRegex(this.prefix)}\\d+$`);
+        const listArgs = {
+            filters: JSON.stringify({ label: ['sdbuild'] }),
+            all: true
+        };
+
+        return host.breaker
+            .runCommand({
+                operation: 'listContainers',
+                func: cb => host.docker.listContainers(listArgs, cb)
+            })
+            .then(containers => containers.filter(container => pattern.test(container.Labels.sdbuild)));
+    }
+
+    /**
+     * Remove a build container that exited too long ago or kill one that ran past its timeout
+     * @method _reapContainer
+     * @param  {Object}   info     Docker container list entry
+     * @param  {Number}   now      Time of the cleanup run
+     * @param  {Object}   [host]   Docker host, the first host by default
+     * @return {Promise}           Resolves to removed, killed or null when the container was kept
+     */
+    _reapContainer(info, now, host = this.hosts[0]) {
+        const container = host.docker.getContainer(info.Id);
+        const created = info.Created * 1000;
+
+        if (info.State === 'running') {
+            const timeout = parseInt(info.Labels.sdtimeout, 10);
+
+            // Containers from before the timeout label have no known timeout and are left running,
+            // builds this process started are stopped on their deadline already
+            if (
+                !(timeout > 0) ||
+                now - created <= timeout * 60 * 1000 + this.reaper.grace ||
+                this.deadlines.has(Number(info.Labels.sdbuild.slice(this.prefix.length)))
+            ) {
+                return Promise.resolve(null);
+            }
+
+            return this._reportTimeout(info, container, host)
+                .then(() => this._killContainer(container, null, host))
+                .then(() => 'killed');
+        }
+
+        if (!REAPABLE_STATES.includes(info.State)) {
+            return Promise.resolve(null);
+        }
+
+        return this._inspectContainer(container, host).then(inspect => {
+            // Containers that never ran have no finish time
+            const finishedAt = Date.parse(hoek.reach(inspect, 'State.FinishedAt'));
+            const finished = finishedAt > 0 ? finishedAt : created;
+
+            if (now - finished <= this.reaper.maxAge) {
+                return null;
+            }
+
+            return this._removeContainer(container, host).then(() => 'removed');
+        });
+    }
+
+    /**
+     * Report a build container the executor found past its timeout as failed. Builds started
+     * before a restart of the executor are reported with the token in their container.
+     * @method _reportTimeout
+     * @param  {Object}   info     Docker container list entry
+     * @param  {Container} container Docker container of the build
+     * @param  {Object}   [host]   Docker host, the first host by default
+     * @return {Promise}           Resolves once reported, failures are only logged
+     */
+    _reportTimeout(info, container, host = this.hosts[0]) {
+        const { sdapi: apiUri, sdbuild, sdtimeout } = info.Labels;
+        const buildId = Number(sdbuild.slice(this.prefix.length));
+
+        // Only build containers report, not sidecars
+        if (!apiUri || info.Names[0] !== `/${this.prefix}${buildId}-build`) {
+            return Promise.resolve();
+        }
+
+        this._emit('timedout', { buildId, timeout: Number(sdtimeout) });
+
+        return this._readToken(container, host)
+            .then(token =>
+                this._updateBuildStatus({
+                    apiUri,
+                    buildId,
+                    token,
+                    status: 'FAILURE',
+                    statusMessage: `Build timed out after ${sdtimeout} minutes`
+                })
+            )
+            .catch(err => logger.error(`Failed to report the timeout of build ${buildId}: ${err.message}`));
+    }
+
+    /**
+     * Read the build token back from the token volume of a build container
+     * @method _readToken
+     * @param  {Container}   container Docker container of the build
+     * @param  {Object}      [host]    Docker host, the first host by default
+     * @return {Promise}               Resolves to the build token
+     */
+    _readToken(container, host = this.hosts[0]) {
+        return host.breaker
+            .runCommand({
+                operation: 'getArchive',
+                func: cb => container.getArchive({ path: TOKEN_FILE }, cb)
+            })
+            .then(archive => unpackToken(archive));
+    }
+
+    /**
+     * Create a Docker network
+     * @method _createNetwork
+     * @param  {Object}   options  Docker network options
+     * @param  {Object}   [host]   Docker host, the first host by default
+     * @return {Promise}           Docker network object
+     */
+    _createNetwork(options, host = this.hosts[0]) {
+        return host.breaker.runCommand({
+            operation: 'createNetwork',
+            func: cb => host.docker.createNetwork(options, cb)
+        });
+    }
+
+    /**
+     * Remove a Docker network
+     * @method _removeNetwork
+     * @param  {Network}   network Docker network to remove
+     * @param  {Object}    [host]  Docker host, the first host by default
+     * @return {Promise}
+     */
+    _removeNetwork(network, host = this.hosts[0]) {
+        return host.breaker.runCommand({
+            operation: 'removeNetwork',
+            func: cb =>
+                network.remove(err => {
+                    if (err && err.statusCode === 404) {
+                        return cb(null, null);
+                    }
+
+                    return cb(err);
+                })
+        });
+    }
+
+    /**
+     * Find Docker networks
+     * @method _findNetworks
+     * @param  {Integer}  buildId Build ID to find
+     * @param  {Object}   [host]  Docker host, the first host by default
+     * @return {Promise}          List of networks
+     */
+    _findNetworks(buildId, host = this.hosts[0]) {
+        const listArgs = {
+            filters: JSON.stringify({
+                label: [`sdbuild=${this.prefix}${buildId}`]
+            })
+        };
+
+        return host.breaker
+            .runCommand({
+                operation: 'listNetworks',
+                func: cb => host.docker.listNetworks(listArgs, cb)
+            })
+            .then(networks => networks.map(network => host.docker.getNetwork(network.Id)));
+    }
+
+    /**
+     * Create a Docker Swarm service
+     * @method _createService
+     * @param  {Object}   spec         Docker service spec
+     * @param  {Object}   [authconfig] Registry credentials forwarded to the nodes
+     * @return {Promise}               Docker service object
+     */
+    _createService(spec, authconfig) {
+        return this.breaker.runCommand({
+            operation: 'createService',
+            func: cb => this.docker.createService(authconfig, spec, cb)
+        });
+    }
+
+    /**
+     * Remove a Docker Swarm service
+     * @method _removeService
+     * @param  {Service}  service  Docker service to remove
+     * @return {Promise}
+     */
+    _removeService(service) {
+        return this.breaker.runCommand({
+            operation: 'removeService',
+            func: cb => service.remove(cb)
+        });
+    }
+
+    /**
+     * List Docker Swarm services
+     * @method _listServices
+     * @param  {Object}   filters  Docker filters
+     * @return {Promise}           List of services
+     */
+    _listServices(filters) {
+        return this.breaker.runCommand({
+            operation: 'listServices',
+            func: cb => this.docker.listServices({ filters: JSON.stringify(filters) }, cb)
+        });
+    }
+
+    /**
+     * Create a Docker Swarm secret
+     * @method _createSecret
+     * @param  {Object}   spec     Docker secret spec
+     * @return {Promise}           Docker secret object
+     */
+    _createSecret(spec) {
+        return this.breaker.runCommand({
+            operation: 'createSecret',
+            func: cb => this.docker.createSecret(spec, cb)
+        });
+    }
+
+    /**
+     * Remove the Docker Swarm secrets of a build, once no service uses them anymore
+     * @method _removeSecrets
+     * @param  {Integer}  buildId Build ID
+     * @return {Promise}
+     */
+    _removeSecrets(buildId) {
+        return this.breaker
+            .runCommand({
+                operation: 'listSecrets',
+                func: cb =>
+                    this.docker.listSecrets(
+                        { filters: JSON.stringify({ label: [`sdbuild=${this.prefix}${buildId}`] }) },
+                        cb
+                    )
+            })
+            .then(secrets =>
+                Promise.all(
+                    secrets.map(secret =>
+                        this.breaker.runCommand({
+                            operation: 'removeSecret',
+                            func: cb => this.docker.getSecret(secret.ID).remove(cb)
+                        })
+                    )
+                )
+            );
+    }
+
+    /**
+     * Find Docker Swarm services
+     * @method _findServices
+     * @param  {Integer}  buildId Build ID to find
+     * @return {Promise}          List of services
+     */
+    _findServices(buildId) {
+        return this._listServices({ label: [`sdbuild=${this.prefix}${buildId}`] }).then(services =>
+            services.map(service => this.docker.getService(service.ID))
+        );
+    }
+
+    /**
+     * Wait for all tasks of a Docker Swarm service to end
+     * @method _waitForTasks
+     * @param  {String}   serviceName  Name of the service
+     * @param  {Number}   deadline     Time (in ms) to give up at
+     * @return {Promise}               Resolves once every task ended successfully
+     */
+    _waitForTasks(serviceName, deadline) {
+        return this.breaker
+            .runCommand({
+                operation: 'listTasks',
+                func: cb => this.docker.listTasks({ filters: JSON.stringify({ service: [serviceName] }) }, cb)
+            })
+            .then(tasks => {
+                const failed = tasks.find(task => ['failed', 'rejected'].includes(task.Status.State));
+
+                if (failed) {
+                    throw new Error(`Launcher task ${failed.ID} ${failed.Status.State}: ${failed.Status.Err}`);
+                }
+
+                if (tasks.length > 0 && tasks.every(task => TASK_END_STATES.includes(task.Status.State))) {
+                    return null;
+                }
+
+                if (Date.now() >= deadline) {
+                    throw new Error(`Timed out waiting for ${serviceName} to finish`);
+                }
+
+                return new Promise(resolve => {
+                    setTimeout(resolve, LAUNCHER_POLL_DELAY);
+                }).then(() => this._waitForTasks(serviceName, deadline));
+            });
+    }
+
+    /**
+     * Make sure the launcher binaries are in a named volume on every Swarm node. A global
+     * service mounts the empty volume over the launcher image's /opt/sd, which Docker fills
+     * with the content of the image. The launcher tag is resolved to its registry digest first,
+     * so every node runs the same launcher and a moved tag gets a new volume.
+     * @method _ensureSwarmLauncher
+     * @return {Promise}  Resolves to the name of the launcher volume
+     */
+    _ensureSwarmLauncher() {
+        const host = this.hosts[0];
+        const image = `${this.launchImage}:${this.launchVersion}`;
+
+        return this._getRegistryAuth(imageParser(this.launchImage).registry).then(authconfig =>
+            host.breaker
+                .runCommand({
+                    operation: 'distributionInspect',
+                    func: cb => host.docker.getImage(image).distribution(authconfig ? { authconfig } : {}, cb)
+                })
+                .then(({ Descriptor: { digest } }) =>
+                    this._startSwarmLauncher(`${image}@${digest}`, digest, authconfig)
+                )
+        );
+    }
+
+    /**
+     * Start the global service filling the launcher volume of a launcher image on every node
+     * @method _startSwarmLauncher
+     * @param  {String}   image       Launcher image pinned to its digest
+     * @param  {String}   digest      Registry digest of the launcher image
+     * @param  {Object}   [authconfig] Registry credentials of the launcher image
+     * @return {Promise}  Resolves to the name of the launcher volume
+     */
+    _startSwarmLauncher(image, digest, authconfig) {
+        const name = getLauncherName(this.prefix, this.launchVersion, digest);
+
+        if (this.launchers.has(name)) {
+            return this.launchers.get(name);
+        }
+
+        const labels = {
+            sdlauncher: this.prefix,
+            sdlauncherversion: this.launchVersion,
+            sdlauncherimage: digest
+        };
+        const ready = this._listServices({ name: [name] })
+            .then(services => {
+                if (services.some(service => service.Spec.Name === name)) {
+                    return null;
+                }
+
+                return this._createService(
+                    {
+                        Name: name,
+                        Labels: labels,
+                        TaskTemplate: {
+                            ContainerSpec: {
+                                Image: image,
+                                Command: ['/bin/true'],
+                                Mounts: [
+                                    {
+                                        Type: 'volume',
+                                        Source: name,
+                                        Target: '/opt/sd',
+                                        VolumeOptions: { NoCopy: false, Labels: labels }
+                                    }
+                                ]
+                            },
+                            RestartPolicy: { Condition: 'none' }
+                        },
+                        Mode: { Global: {} }
+                    },
+                    authconfig
+                );
+            })
+            .then(() => this._waitForTasks(name, Date.now() + this.swarm.launcherTimeout))
+            .then(() => name)
+            .catch(err => {
+                // Try again with the next build
+                this.launchers.delete(name);
+                throw err;
+            });
+
+        this.launchers.set(name, ready);
+
+        return ready;
+    }
+
+    /**
+     * List Docker volumes
+     * @method _listVolumes
+     * @param  {Object}   filters  Docker filters
+     * @param  {Object}   [host]   Docker host, the first host by default
+     * @return {Promise}           List of volumes
+     */
+    _listVolumes(filters, host = this.hosts[0]) {
+        return host.breaker
+            .runCommand({
+                operation: 'listVolumes',
+                func: cb => host.docker.listVolumes({ filters: JSON.stringify(filters) }, cb)
+            })
+            .then(result => result.Volumes || []);
+    }
+
+    /**
+     * Inspect a Docker volume
+     * @method _inspectVolume
+     * @param  {String}   name     Name of the volume
+     * @param  {Object}   [host]   Docker host, the first host by default
+     * @return {Promise}           Docker volume inspect data, null if the volume does not exist
+     */
+    _inspectVolume(name, host = this.hosts[0]) {
+        return host.breaker.runCommand({
+            operation: 'inspectVolume',
+            func: cb =>
+                host.docker.getVolume(name).inspect((err, info) => {
+                    if (err && err.statusCode === 404) {
+                        return cb(null, null);
+                    }
+
+                    return cb(err, info);
+                })
+        });
+    }
+
+    /**
+     * Remove a Docker volume
+     * @method _removeVolume
+     * @param  {String}   name     Name of the volume
+     * @param  {Object}   [host]   Docker host, the first host by default
+     * @return {Promise}
+     */
+    _removeVolume(name, host = this.hosts[0]) {
+        return host.breaker.runCommand({
+            operation: 'removeVolume',
+            func: cb => host.docker.getVolume(name).remove(cb)
+        });
+    }
+
+    /**
+     * Remove the launcher volumes of other launcher versions and images. Volumes still mounted by
+     * builds cannot be removed and are left for a later run.
+     * @method _removeOldLaunchers
+     * @param  {String}   current  Name of the launcher volume in use
+     * @param  {Object}   [host]   Docker host, the first host by default
+     * @return {Promise}           Resolves to the names of the removed volumes
+     */
+    _removeOldLaunchers(current, host = this.hosts[0]) {
+        return this._listVolumes({ label: ['sdlauncher'] }, host).then(volumes => {
+            const old = volumes.filter(
+                volume => volume.Name !== current && volume.Labels && volume.Labels.sdlauncher === this.prefix
+            );
+
+            return Promise.all(
+                old.map(volume =>
+                    this._removeVolume(volume.Name, host).then(
+                        () => volume.Name,
+                        err => {
+                            logger.info(`Keeping launcher volume ${volume.Name}: ${err.message}`);
+
+                            return null;
+                        }
+                    )
+                )
+            ).then(names => names.filter(Boolean));
+        });
+    }
+
+    /**
+     * Make sure the launcher binaries of the pulled launcher image are in a named volume. Docker
+     * fills an empty named volume with the image content when a container mounts it, so a
+     * throwaway launcher container is enough. The volume is named after the image ID, so a
+     * newly pulled image behind the same tag gets a new volume.
+     * @method _ensureLauncherVolume
+     * @param  {Object}   [host]   Docker host, the first host by default
+     * @return {Promise}  Resolves to the name of the launcher volume
+     */
+    _ensureLauncherVolume(host = this.hosts[0]) {
+        const image = `${this.launchImage}:${this.launchVersion}`;
+
+        if (host.launchers.has(image)) {
+            return host.launchers.get(image);
+        }
+
+        const ready = this._inspectImage(image, host)
+            .then(info => {
+                if (!info) {
+                    throw new Error(`Launcher image ${image} is not on Docker host ${host.name}`);
+                }
+
+                const name = getLauncherName(this.prefix, this.launchVersion, info.Id);
+                const labels = {
+                    sdlauncher: this.prefix,
+                    sdlauncherversion: this.launchVersion,
+                    sdlauncherimage: info.Id
+                };
+
+                return this._inspectVolume(name, host).then(volume => {
+                    if (volume) {
+                        return name;
+                    }
+
+                    return this._createContainer(
+                        {
+                            name: `${name}-init`,
+                            Image: info.Id,
+                            Entrypoint: '/bin/true',
+                            Labels: labels,
+                            HostConfig: {
+                                Mounts: [
+                                    {
+                                        Type: 'volume',
+                                        Source: name,
+                                        Target: '/opt/sd',
+                                        VolumeOptions: { NoCopy: false, Labels: labels }
+                                    }
+                                ]
+                            }
+                        },
+                        host
+                    )
+                        .then(container => this._removeContainer(container, host))
+                        .then(() =>
+                            // The volume is ready, cleaning up can wait for the next launcher image
+                            this._removeOldLaunchers(name, host).catch(err => {
+                                logger.error(`Failed to remove old launcher volumes: ${err.message}`);
+                            })
+                        )
+                        .then(() => name);
+                });
+            })
+            .finally(() => host.launchers.delete(image));
+
+        host.launchers.set(image, ready);
+
+        return ready;
+    }
+
+    /**
+     * Starts a build as a Docker Swarm service with a single replica that is never restarted
+     * @method _startService
+     * @param  {Object}   config            A configuration object
+     * @param  {Integer}  config.buildId    ID for the build
+     * @param  {String}   config.container  Container for the build to run in
+     * @param  {Object}   build             Build container settings computed by _start
+     * @param  {Array}    build.cmd         Command for the launcher entrypoint
+     * @param  {Object}   build.resources   NanoCpus and Memory of the build
+     * @param  {String}   build.registry    Registry host of the build image
+     * @param  {String}   build.dockerAccess Docker access mode of the build, null without access
+     * @param  {Array}    build.mounts      Host paths and cache volumes of the build
+     * @return {Promise}
+     */
+    _startService(config, { cmd, resources, registry, dockerAccess, mounts }) {
+        const env = this._getEnv();
+        const labels = {
+            sdbuild: `${this.prefix}${config.buildId}`
+        };
+        const limits = {
+            NanoCPUs: resources.NanoCpus,
+            MemoryBytes: resources.Memory
+        };
+
+        return Promise.all([
+            this._getRegistryAuth(registry),
+            this._ensureSwarmLauncher(),
+            // The token reaches the node as a secret, never in the service spec
+            this._createSecret({
+                Name: `${this.prefix}${config.buildId}-token`,
+                Labels: labels,
+                Data: Buffer.from(config.token).toString('base64')
+            })
+        ])
+            .then(([authconfig, launcherVolume, secret]) =>
+                this._createService(
+                    {
+                        Name: `${this.prefix}${config.buildId}-build`,
+                        Labels: labels,
+                        TaskTemplate: {
+                            ContainerSpec: {
+                                Image: config.container,
+                                Labels: labels,
+                                Command: ['/opt/sd/launcher_entrypoint.sh'],
+                                Args: cmd,
+                                ...(env.length && { Env: env }),
+                                StopSignal: this.stopSignal,
+                                StopGracePeriod: Math.round(this._getGracePeriod(config) * NANO_SECONDS),
+                                Mounts: [
+                                    { Type: 'volume', Source: launcherVolume, Target: '/opt/sd', ReadOnly: true },
+                                    ...(dockerAccess === 'socket'
+                                        ? [{ Type: 'bind', Source: DOCKER_SOCKET, Target: DOCKER_SOCKET }]
+                                        : []),
+                                    ...mounts
+                                ],
+                                Secrets: [
+                                    {
+                                        SecretID: secret.id,
+                                        SecretName: `${this.prefix}${config.buildId}-token`,
+                                        File: {
+                                            Name: path.basename(SWARM_TOKEN_FILE),
+                                            UID: '0',
+                                            GID: '0',
+                                            Mode: 0o444
+                                        }
+                                    }
+                                ]
+                            },
+                            Resources: {
+                                Limits: limits,
+                                Reservations: limits
+                            },
+                            RestartPolicy: { Condition: 'none' },
+                            Placement: { Constraints: this.swarm.constraints }
+                        },
+                        Mode: { Replicated: { Replicas: 1 } }
+                    },
+                    authconfig
+                )
+            )
+            .catch(err =>
+                // Nothing uses the token secret without the service
+                this._removeSecrets(config.buildId).then(
+                    () => {
+                        throw err;
+                    },
+                    () => {
+                        throw err;
+                    }
+                )
+            );
+    }
+
+    /**
+     * Connect a Docker container to a network
+     * @method _connectNetwork
+     * @param  {String}   network    Name of the network
+     * @param  {Container} container Docker container to connect
+     * @param  {Object}    [host]    Docker host, the first host by default
+     * @return {Promise}
+     */
+    _connectNetwork(network, container, host = this.hosts[0]) {
+        return host.breaker.runCommand({
+            operation: 'connectNetwork',
+            func: cb => host.docker.getNetwork(network).connect({ Container: container.id }, cb)
+        });
+    }
+
+    /**
+     * Start a container of a build on its build network, reachable under an alias
+     * @method _startSidecar
+     * @param  {String}   network  Name of the build network
+     * @param  {String}   alias    Host name of the container on the network
+     * @param  {Object}   options  Docker container options
+     * @param  {Object}   [host]   Docker host, the first host by default
+     * @return {Promise}           Docker container object
+     */
+    _startSidecar(network, alias, options, host = this.hosts[0]) {
+        return this._createContainer(
+            {
+                ...options,
+                HostConfig: { ...options.HostConfig, NetworkMode: network },
+                NetworkingConfig: {
+                    EndpointsConfig: {
+                        [network]: { Aliases: [alias] }
+                    }
+                }
+            },
+            host
+        ).then(container => this._startContainer(container, host).then(() => container));
+    }
+
+    /**
+     * Create the network of a build with what the build needs on it: an egress proxy for
+     * internal policies and policies with an egress allow-list, and the Docker-in-Docker sidecar.
+     * The proxy gets the allowed domains in ALLOWED_DOMAINS, always with the Screwdriver API and
+     * store, and is the only way out of the build network.
+     * @method _startNetwork
+     * @param  {Object}   config            A configuration object
+     * @param  {Integer}  config.buildId    ID for the build
+     * @param  {Object}   build             Build settings computed by _start
+     * @param  {Number}   build.timeout     Build timeout in minutes
+     * @param  {Object}   build.policy      Network policy of the build
+     * @param  {String}   build.dockerAccess Docker access mode of the build
+     * @param  {Object}   [host]             Docker host, the first host by default
+     * @return {Promise}                    Resolves to the network name and the build environment
+     */
+    _startNetwork(config, { timeout, policy, dockerAccess }, host = this.hosts[0]) {
+        const name = `${this.prefix}${config.buildId}`;
+        const network = `${name}-network`;
+        const labels = {
+            sdbuild: name,
+            sdtimeout: `${timeout}`
+        };
+        const proxy = `http://proxy:${this.network.proxyPort}`;
+        const proxyEnv = policy.egress
+            ? [
+                  `HTTP_PROXY=${proxy}`,
+                  `HTTPS_PROXY=${proxy}`,
+                  `NO_PROXY=${NO_PROXY}`,
+                  `http_proxy=${proxy}`,
+                  `https_proxy=${proxy}`,
+                  `no_proxy=${NO_PROXY}`
+              ]
+            : [];
+
+        return this._createNetwork(
+            {
+                Name: network,
+                Driver: 'bridge',
+                Internal: Boolean(policy.egress),
+                CheckDuplicate: true,
+                Labels: { sdbuild: name }
+            },
+            host
+        )
+            .then(() => {
+                if (!policy.egress) {
+                    return null;
+                }
+
+                // The proxy is the only container of the build that reaches the outside world
+                return this._startSidecar(
+                    network,
+                    'proxy',
+                    {
+                        name: `${name}-proxy`,
+                        Image: this.network.proxyImage,
+                        Labels: labels,
+                        Env: [
+                            `ALLOWED_DOMAINS=${[
+                                ...new Set([
+                                    getHostname(this.ecosystem.api),
+                                    getHostname(this.ecosystem.store),
+                                    ...policy.egress
+                                ])
+                            ].join(',')}`,
+                            `PROXY_PORT=${this.network.proxyPort}`
+                        ]
+                    },
+                    host
+                ).then(container => this._connectNetwork('bridge', container, host));
+            })
+            .then(() => {
+                if (dockerAccess !== 'dind') {
+                    return null;
+                }
+
+                return this._startSidecar(
+                    network,
+                    'docker',
+                    {
+                        name: `${name}-dind`,
+                        Image: this.dockerAccess.dindImage,
+                        Labels: labels,
+                        // Plain TCP is fine, the daemon is only reachable from the build network
+                        Env: ['DOCKER_TLS_CERTDIR=', ...proxyEnv],
+                        HostConfig: { Privileged: true }
+                    },
+                    host
+                );
+            })
+            .then(() => ({
+                network,
+                env: [...proxyEnv, ...(dockerAccess === 'dind' ? [`DOCKER_HOST=${DIND_HOST}`] : [])]
+            }));
+    }
+
+    /**
+     * Wait for a sidecar to be healthy, or running when it has no health check
+     * @method _waitForSidecar
+     * @param  {String}    name       Name of the sidecar
+     * @param  {Container} container  Docker container of the sidecar
+     * @param  {Number}    deadline   Time (in ms) to give up at
+     * @param  {Object}    [host]     Docker host, the first host by default
+     * @return {Promise}
+     */
+    _waitForSidecar(name, container, deadline, host = this.hosts[0]) {
+        return this._inspectContainer(container, host).then(info => {
+            const health = hoek.reach(info, 'State.Health.Status');
+
+            if (!info.State.Running) {
+                throw new Error(`Sidecar ${name} exited with code ${info.State.ExitCode}`);
+            }
+
+            if (!health || health === 'healthy') {
+                return null;
+            }
+
+            if (health === 'unhealthy') {
+                throw new Error(`Sidecar ${name} is unhealthy`);
+            }
+
+            if (Date.now() >= deadline) {
+                throw new Error(`Timed out waiting for sidecar ${name} to be healthy`);
+            }
+
+            return new Promise(resolve => {
+                setTimeout(resolve, SIDECAR_POLL_DELAY);
+            }).then(() => this._waitForSidecar(name, container, deadline, host));
+        });
+    }
+
+    /**
+     * Start the sidecars of a build on the build network, reachable by their names, and wait
+     * for them to be healthy
+     * @method _startSidecars
+     * @param  {Object}   config            A configuration object
+     * @param  {Integer}  config.buildId    ID for the build
+     * @param  {Object}   build             Build settings computed by _start
+     * @param  {String}   build.network     Name of the build network
+     * @param  {Array}    build.sidecars    Sidecar definitions with their resources from _getSidecars
+     * @param  {Number}   build.timeout     Build timeout in minutes
+     * @param  {Object}   [host]            Docker host, the first host by default
+     * @return {Promise}
+     */
+    _startSidecars(config, { network, sidecars, timeout }, host = this.hosts[0]) {
+        const deadline = Date.now() + this.sidecarTimeout;
+        // Service images like databases need capabilities builds go without, the build profile is not theirs
+        const { user, hostConfig } = this.security.profiles[this.security.sidecarProfile] || { hostConfig: {} };
+
+        return Promise.all(
+            sidecars.map(sidecar =>
+                this._startSidecar(
+                    network,
+                    sidecar.name,
+                    {
+                        name: `${this.prefix}${config.buildId}-${sidecar.name}`,
+                        Image: sidecar.image,
+                        Labels: {
+                            sdbuild: `${this.prefix}${config.buildId}`,
+                            sdtimeout: `${timeout}`,
+                            sdcpu: `${sidecar.cpu}`,
+                            sdram: `${sidecar.memory}`
+                        },
+                        ...(sidecar.env && {
+                            Env: Array.isArray(sidecar.env)
+                                ? sidecar.env
+                                : Object.keys(sidecar.env).map(key => `${key}=${sidecar.env[key]}`)
+                        }),
+                        ...(sidecar.command && { Cmd: sidecar.command }),
+                        ...(sidecar.healthCheck && { Healthcheck: getHealthcheck(sidecar.healthCheck) }),
+                        ...(user && { User: user }),
+                        HostConfig: {
+                            ...hostConfig,
+                            NanoCpus: Math.round(sidecar.cpu * NANO_CPUS),
+                            Memory: Math.round(sidecar.memory * GIGABYTE),
+                            MemorySwap: Math.round((sidecar.memory + this.memory.swap) * GIGABYTE)
+                        }
+                    },
+                    host
+                ).then(container => this._waitForSidecar(sidecar.name, container, deadline, host))
+            )
+        );
+    }
+
+    /**
+     * Work out how a build gets to use Docker. Builds of allow-listed pipelines do, as do
+     * builds with the dockerEnabled annotation when the executor honours it.
+     * @method _getDockerAccess
+     * @param  {Object}   config               A configuration object
+     * @param  {Object}   [config.pipeline]    Pipeline of the build
+     * @param  {Object}   [config.annotations] Build annotations (screwdriver.cd/dockerEnabled)
+     * @return {String}                        Docker access mode (socket or dind), null without access
+     */
+    _getDockerAccess(config) {
+        const pipelineId = getPipelineId(config);
+        const allowListed = pipelineId !== undefined && this.dockerAccess.pipelines.includes(String(pipelineId));
+        const annotated =
+            this.dockerAccess.annotation && String(getAnnotation(config, ANNOTATION_DOCKER_ENABLED)) === 'true';
+
+        return allowListed || annotated ? this.dockerAccess.mode : null;
+    }
+
+    /**
+     * Environment variables every build container gets
+     * @method _getEnv
+     * @return {Array}                         Docker environment (NAME=value)
+     */
+    _getEnv() {
+        const { env } = this.buildContainer;
+
+        return Object.keys(env).map(name => `${name}=${env[name]}`);
+    }
+
+    /**
+     * Work out the host paths and cache volumes mounted in a build container. Cache volumes
+     * are kept per pipeline, and labelled with it so that they can be pruned.
+     * @method _getMounts
+     * @param  {Object}   config               A configuration object
+     * @param  {Object}   [config.annotations] Build annotations (screwdriver.cd/cacheVolumes)
+     * @return {Array}                         Docker mounts
+     */
+    _getMounts(config) {
+        const { binds, cacheVolumes } = this.buildContainer;
+        const names = getCacheVolumeNames(config);
+        const pipelineId = getPipelineId(config);
+
+        names.forEach(name => {
+            if (!Object.prototype.hasOwnProperty.call(cacheVolumes, name)) {
+                throw new Error(
+                    `Unknown cache volume "${name}": must be one of ${Object.keys(cacheVolumes).join(', ')}`
+                );
+            }
+        });
+        if (names.length && pipelineId === undefined) {
+            throw new Error('Cache volumes need the pipeline of the build');
+        }
+
+        return [
+            ...binds.map(({ source, target, readOnly = true }) => ({
+                Type: 'bind',
+                Source: source,
+                Target: target,
+                ReadOnly: readOnly
+            })),
+            ...names.map(name => ({
+                Type: 'volume',
+                Source: `${this.prefix}sd-cache-${pipelineId}-${name}`,
+                Target: cacheVolumes[name],
+                VolumeOptions: {
+                    Labels: { sdcache: this.prefix, sdcachepipeline: `${pipelineId}`, sdcachename: name }
+                }
+            }))
+        ];
+    }
+
+    /**
+     * Pick the security settings of a build, from the securityProfile annotation when the
+     * profile is allowed
+     * @method _getSecurity
+     * @param  {Object}   config               A configuration object
+     * @param  {Object}   [config.annotations] Build annotations (screwdriver.cd/securityProfile)
+     * @return {Object}                        User and HostConfig settings of the build container
+     */
+    _getSecurity(config) {
+        return selectProfile('Security profile', getAnnotation(config, ANNOTATION_SECURITY_PROFILE), this.security);
+    }
+
+    /**
+     * Pick the network policy of a build, from the network annotation when the policy is allowed
+     * @method _getNetworkPolicy
+     * @param  {Object}   config               A configuration object
+     * @param  {Object}   [config.annotations] Build annotations (screwdriver.cd/network)
+     * @return {Object}                        Network policy
+     */
+    _getNetworkPolicy(config) {
+        const policy = selectProfile('Network policy', getAnnotation(config, ANNOTATION_NETWORK), this.network);
+
+        // Internal networks only reach the Screwdriver API and store, through the egress proxy
+        return policy.internal && !policy.egress ? { ...policy, egress: [] } : policy;
+    }
+
+    /**
+     * Work out how long a build gets to exit on stop, from the terminationGracePeriod annotation
+     * @method _getGracePeriod
+     * @param  {Object}   config               A configuration object
+     * @param  {Object}   [config.annotations] Build annotations (screwdriver.cd/terminationGracePeriod)
+     * @return {Number}                        Grace period in seconds
+     */
+    _getGracePeriod(config) {
+        const value = getAnnotation(config, ANNOTATION_TERMINATION_GRACE_PERIOD);
+
+        if (value === undefined || value === null || value === '') {
+            return this.terminationGracePeriod;
+        }
+
+        const gracePeriod = Number(value);
+
+        if (!Number.isFinite(gracePeriod) || gracePeriod < 0) {
+            throw new Error(`Invalid termination grace period "${value}": must be a number of seconds`);
+        }
+
+        return gracePeriod;
+    }
+
+    /**
+     * Compute the resource limits of a build container from its annotations
+     * @method _getResources
+     * @param  {Object}   config              A configuration object
+     * @param  {Object}   [config.annotations] Build annotations (screwdriver.cd/cpu, screwdriver.cd/ram)
+     * @return {Object}                       NanoCpus, Memory and MemorySwap for the HostConfig
+     */
+    _getResources(config) {
+        const cpu = resolveResource('cpu', getAnnotation(config, ANNOTATION_CPU) || this.cpu.default, this.cpu);
+        const memory = resolveResource(
+            'ram',
+            getAnnotation(config, ANNOTATION_RAM) || this.memory.default,
+            this.memory
+        );
+
+        return {
+            NanoCpus: Math.round(cpu * NANO_CPUS),
+            Memory: Math.round(memory * GIGABYTE),
+            MemorySwap: Math.round((memory + this.memory.swap) * GIGABYTE)
+        };
+    }
+
+    /**
+     * Read the sidecars of a build with the CPU and memory each one gets, from its cpu and ram
+     * settings (tier or amount, bounded like the build) or the MICRO tier
+     * @method _getSidecars
+     * @param  {Object}   config   A configuration object
+     * @return {Array}             Sidecar definitions with cpu in cores and memory in GB
+     */
+    _getSidecars(config) {
+        return getSidecars(config).map(sidecar => ({
+            ...sidecar,
+            cpu: resolveResource(`sidecar ${sidecar.name} cpu`, sidecar.cpu || 'MICRO', this.cpu),
+            memory: resolveResource(`sidecar ${sidecar.name} ram`, sidecar.ram || 'MICRO', this.memory)
+        }));
+    }
+
+    /**
+     * List the images a build needs: the launcher, the build image and the images of its
+     * Docker-in-Docker, egress proxy and sidecar containers
+     * @method _getPulls
+     * @param  {Object}   build               Build settings computed by _start
+     * @param  {Object}   build.buildPullArgs Pull arguments of the build image
+     * @param  {String}   build.dockerAccess  Docker access mode of the build, null without access
+     * @param  {Object}   build.policy        Network policy of the build
+     * @param  {Array}    build.sidecars      Sidecar definitions
+     * @return {Array}                        Pull arguments of every image
+     */
+    _getPulls({ buildPullArgs, dockerAccess, policy, sidecars }) {
+        const pulls = [
+            {
+                fromImage: this.launchImage,
+                tag: this.launchVersion,
+                registry: imageParser(this.launchImage).registry
+            },
+            buildPullArgs
+        ];
+
+        if (dockerAccess === 'dind') {
+            pulls.push(getPullArgs(this.dockerAccess.dindImage));
+        }
+        if (policy.egress) {
+            pulls.push(getPullArgs(this.network.proxyImage));
+        }
+        sidecars.forEach(sidecar => pulls.push(getPullArgs(sidecar.image)));
+
+        return pulls;
+    }
+
+    /**
+     * Starts a docker build
+     * @method _start
+     * @param  {Object}   config            A configuration object
+     * @param  {String}   [config.apiUri]   screwdriver base api uri
+     * @param  {Integer}  config.buildId    ID for the build
+     * @param  {String}   config.container  Container for the build to run in
+     * @param  {String}   config.token      JWT for the Build
+     * @return {Promise}
+     */
+
+    _start(config) {
+        const buildTimeout = getAnnotation(config, ANNOTATION_TIMEOUT);
+        const timeout = parseInt(buildTimeout || DEFAULT_BUILD_TIMEOUT, 10);
+        const pullPolicy = getAnnotation(config, ANNOTATION_IMAGE_PULL_POLICY) || this.imagePullPolicy;
+        const dockerAccess = this._getDockerAccess(config);
+        let resources;
+        let security;
+        let policy;
+        let sidecars;
+        let hosts;
+        let mounts;
+
+        try {
+            resources = this._getResources(config);
+            security = this._getSecurity(config);
+            policy = this._getNetworkPolicy(config);
+            sidecars = this._getSidecars(config);
+            hosts = this._getHosts(config);
+            mounts = this._getMounts(config);
+            this._getGracePeriod(config);
+        } catch (err) {
+            return this._startFailed(config, 'invalid_config', err);
+        }
+
+        if (!IMAGE_PULL_POLICIES.includes(pullPolicy)) {
+            return this._startFailed(config, 'invalid_config', new Error(`Invalid image pull policy "${pullPolicy}"`));
+        }
+
+        const buildPullArgs = getPullArgs(config.container);
+        // The launcher entrypoint runs its arguments as a shell command, which reads the token
+        // from its file so that it never shows in the container metadata
+        const cmd = [
+            [
+                // Run the wrapper script
+                '/opt/sd/run.sh',
+                `"$(cat ${this.swarm.enabled ? SWARM_TOKEN_FILE : TOKEN_FILE})"`,
+                ...[this.ecosystem.api, this.ecosystem.store, timeout, config.buildId, this.ecosystem.ui].map(
+                    shellQuote
+                )
+            ].join(' ')
+        ];
+
+        if (this.swarm.enabled) {
+            if (sidecars.length) {
+                return this._startFailed(
+                    config,
+                    'invalid_config',
+                    new Error('Sidecars are not supported in swarm mode')
+                );
+            }
+
+            // Swarm nodes pull the images themselves
+            return this._startService(config, {
+                cmd,
+                resources,
+                registry: buildPullArgs.registry,
+                dockerAccess,
+                mounts
+            })
+                .then(() => this._trackDeadline(config, timeout))
+                .catch(err => this._startFailed(config, 'service', err));
+        }
+
+        const pulls = this._getPulls({ buildPullArgs, dockerAccess, policy, sidecars });
+        // The step the build is at, for the start failure metrics
+        let step;
+        const launch = () => {
+            step = 'host';
+
+            return this._pickHost(config, hosts)
+                .then(host => {
+                    step = 'image_pull';
+                    if (this.hosts.length > 1) {
+                        logger.info(`Starting build ${config.buildId} on Docker host ${host.name}`);
+                    }
+                    this.placements.set(config.buildId, host);
+
+                    return this._pullImages(
+                        config,
+                        pulls.map(pullArgs => ({ ...pullArgs, pullPolicy })),
+                        host
+                    )
+                        .catch(err => {
+                            const watch = this.watches.get(config.buildId);
+
+                            // Let the status watcher report it, the build containers will never show up
+                            if (watch) {
+                                watch.pullError = err;
+                            }
+
+                            throw err;
+                        })
+                        .then(() => {
+                            step = 'setup';
+
+                            return Promise.all([
+                                this._ensureLauncherVolume(host),
+                                this._startNetwork(config, { timeout, policy, dockerAccess }, host).then(buildNetwork =>
+                                    this._startSidecars(
+                                        config,
+                                        { network: buildNetwork.network, sidecars, timeout },
+                                        host
+                                    ).then(() => buildNetwork)
+                                )
+                            ]);
+                        })
+                        .then(([launcherVolume, { network, env }]) => {
+                            step = 'container';
+
+                            return this._createContainer(
+                                this._getBuildContainerOptions(config, {
+                                    cmd,
+                                    timeout,
+                                    resources,
+                                    security,
+                                    policy,
+                                    dockerAccess,
+                                    mounts: [
+                                        { Type: 'volume', Source: launcherVolume, Target: '/opt/sd', ReadOnly: true },
+                                        { Type: 'volume', Target: TOKEN_DIR },
+                                        ...mounts
+                                    ],
+                                    network,
+                                    env
+                                }),
+                                host
+                            );
+                        })
+                        .then(buildContainer =>
+                            this._putToken(buildContainer, config.token, host).then(() => buildContainer)
+                        )
+                        .then(buildContainer =>
+                            // Attach first, the launcher can fail before any log reaches the store
+                            (this.logs.dir || this.logs.store
+                                ? this._attachLogs(config, buildContainer, host)
+                                : Promise.resolve()
+                            ).then(() => this._startContainer(buildContainer, host))
+                        )
+                        .then(() => this._trackDeadline(config, timeout));
+                })
+                .catch(err => this._startFailed(config, step, err));
+        };
+
+        // Sidecars take their share of the capacity next to the build container
+        return this._schedule(
+            config,
+            sidecars.reduce(
+                (need, sidecar) => ({
+                    NanoCpus: need.NanoCpus + Math.round(sidecar.cpu * NANO_CPUS),
+                    Memory: need.Memory + Math.round(sidecar.memory * GIGABYTE)
+                }),
+                resources
+            ),
+            launch
+        );
+    }
+
+    /**
+     * Add up the builds of this executor that hold capacity: the build containers and sidecars
+     * that did not exit yet, and builds still setting up their containers
+     * @method _getUsage
+     * @return {Promise}  Resolves to the number of builds, CPU cores and GB of memory in use
+     */
+    _getUsage() {
+        return this._onEveryHost('count the builds', host => this._listBuildContainers(host)).then(lists => {
+            const containers = [].concat(...lists).filter(container => ACTIVE_STATES.includes(container.State));
+            const usage = { builds: 0, cpu: 0, memory: 0 };
+            const counted = new Set(
+                containers
+                    .filter(container => container.Names.includes(`/${container.Labels.sdbuild}-build`))
+                    .map(container => container.Labels.sdbuild)
+            );
+
+            containers.forEach(container => {
+                // The sidecars of a build setting up are in the need of the build
+                if (this.starting.has(container.Labels.sdbuild) && !counted.has(container.Labels.sdbuild)) {
+                    return;
+                }
+
+                usage.cpu += Number(container.Labels.sdcpu) || 0;
+                usage.memory += Number(container.Labels.sdram) || 0;
+            });
+            usage.builds = counted.size;
+            this.starting.forEach((need, name) => {
+                if (!counted.has(name)) {
+                    usage.builds += 1;
+                    usage.cpu += need.cpu;
+                    usage.memory += need.memory;
+                }
+            });
+
+            return usage;
+        });
+    }
+
+    /**
+     * Check whether a build fits in the capacity left
+     * @method _fits
+     * @param  {Object}   usage  Builds, CPU cores and GB of memory in use
+     * @param  {Object}   need   CPU cores and GB of memory of the build
+     * @return {Boolean}
+     */
+    _fits(usage, need) {
+        const { maxBuilds, cpu, memory } = this.capacity;
+
+        return (
+            (!maxBuilds || usage.builds + 1 <= maxBuilds) &&
+            (!cpu || usage.cpu + need.cpu <= cpu) &&
+            (!memory || usage.memory + need.memory <= memory)
+        );
+    }
+
+    /**
+     * Start the builds at the front of the queue for as long as they fit. Runs one at a time
+     * so that builds starting together do not share the same room.
+     * @method _drainQueue
+     * @return {Promise}
+     */
+    _drainQueue() {
+        this.draining = this.draining.then(() => {
+            if (this.queue.length === 0) {
+                return null;
+            }
+
+            return this._getUsage()
+                .then(usage => {
+                    // The front of the queue waits for room, later builds do not get to pass it
+                    while (this.queue.length > 0 && this._fits(usage, this.queue[0].need)) {
+                        const entry = this.queue.shift();
+                        const name = `${this.prefix}${entry.config.buildId}`;
+
+                        usage.builds += 1;
+                        usage.cpu += entry.need.cpu;
+                        usage.memory += entry.need.memory;
+                        this.starting.set(name, entry.need);
+                        entry.started = entry.launch().finally(() => this.starting.delete(name));
+
+                        if (entry.queued) {
+                            entry.started.catch(err => this._reportQueuedFailure(entry.config, err));
+                        }
+                    }
+                })
+                .catch(err => logger.error(`Failed to check the capacity for queued builds: ${err.message}`))
+                .finally(() => this._scheduleQueue());
+        });
+
+        return this.draining;
+    }
+
+    /**
+     * Start or stop checking for room for queued builds depending on the queue
+     * @method _scheduleQueue
+     */
+    _scheduleQueue() {
+        if (this.queue.length === 0) {
+            clearInterval(this.queueTimer);
+            this.queueTimer = null;
+        } else if (!this.queueTimer) {
+            this.queueTimer = setInterval(() => this._drainQueue(), this.capacity.interval);
+            this.queueTimer.unref();
+        }
+    }
+
+    /**
+     * Report a queued build that failed to start to the API, its start call resolved long ago
+     * @method _reportQueuedFailure
+     * @param  {Object}   config            A configuration object
+     * @param  {Error}    err               Start failure
+     * @return {Promise}
+     */
+    _reportQueuedFailure(config, err) {
+        logger.error(`Failed to start queued build ${config.buildId}: ${err.message}`);
+
+        return this._updateBuildStatus({
+            apiUri: config.apiUri,
+            buildId: config.buildId,
+            token: config.token,
+            status: 'FAILURE',
+            statusMessage: `Build failed to start. ${err.message}`
+        }).catch(reportErr =>
+            logger.error(`Failed to report the failure of build ${config.buildId}: ${reportErr.message}`)
+        );
+    }
+
+    /**
+     * Labels of the build container, everything reconcile needs to pick a build up again
+     * after a restart of the executor
+     * @method _getBuildLabels
+     * @param  {Object}   config              A configuration object
+     * @param  {Integer}  config.buildId      ID for the build
+     * @param  {Integer}  [config.jobId]      ID of the job of the build
+     * @param  {Integer}  [config.eventId]    ID of the event of the build
+     * @param  {String}   [config.apiUri]     screwdriver base api uri
+     * @param  {Object}   build               Build container settings computed by _start
+     * @param  {Number}   build.timeout       Build timeout in minutes
+     * @param  {Object}   build.resources     NanoCpus and Memory of the build
+     * @return {Object}                       Docker labels
+     */
+    _getBuildLabels(config, { timeout, resources }) {
+        const pipelineId = getPipelineId(config);
+
+        return {
+            sdbuild: `${this.prefix}${config.buildId}`,
+            sdtimeout: `${timeout}`,
+            sdcpu: `${resources.NanoCpus / NANO_CPUS}`,
+            sdram: `${resources.Memory / GIGABYTE}`,
+            sdstarted: new Date().toISOString(),
+            sdlaunchversion: this.launchVersion,
+            sdexecutor: this.instanceId,
+            ...(pipelineId !== undefined && { sdpipeline: `${pipelineId}` }),
+            ...(config.jobId !== undefined && { sdjob: `${config.jobId}` }),
+            ...(config.eventId !== undefined && { sdevent: `${config.eventId}` }),
+            // Where to report a timeout to
+            ...(config.apiUri && { sdapi: config.apiUri })
+        };
+    }
+
+    /**
+     * Docker options of the build container, which runs the launcher on the build network
+     * @method _getBuildContainerOptions
+     * @param  {Object}   config              A configuration object
+     * @param  {Object}   build               Build container settings computed by _start
+     * @param  {Array}    build.cmd           Command for the launcher entrypoint
+     * @param  {Number}   build.timeout       Build timeout in minutes
+     * @param  {Object}   build.resources     NanoCpus, Memory and MemorySwap of the build
+     * @param  {Object}   build.security      User and HostConfig settings of the security profile
+     * @param  {Object}   build.policy        Network policy of the build
+     * @param  {String}   build.dockerAccess  Docker access mode of the build, null without access
+     * @param  {Array}    build.mounts        Launcher volume, host paths and cache volumes
+     * @param  {String}   build.network       Name of the build network
+     * @param  {Array}    build.env           Environment of the build network (proxy, Docker host)
+     * @return {Object}                       Docker container options
+     */
+    _getBuildContainerOptions(
+        config,
+        { cmd, timeout, resources, security, policy, dockerAccess, mounts, network, env }
+    ) {
+        // The build network settings win over the defaults
+        const buildEnv = [...this._getEnv(), ...env];
+
+        return {
+            name: `${this.prefix}${config.buildId}-build`,
+            Image: config.container,
+            Entrypoint: '/opt/sd/launcher_entrypoint.sh',
+            Labels: this._getBuildLabels(config, { timeout, resources }),
+            Cmd: cmd,
+            ...(security.user && { User: security.user }),
+            ...(buildEnv.length && { Env: buildEnv }),
+            HostConfig: {
+                ...resources,
+                ...security.hostConfig,
+                Mounts: mounts,
+                ...(dockerAccess === 'socket' && {
+                    Privileged: true,
+                    Binds: [`${DOCKER_SOCKET}:${DOCKER_SOCKET}`]
+                }),
+                NetworkMode: network,
+                ...(policy.dns && { Dns: policy.dns }),
+                ...(policy.extraHosts && { ExtraHosts: policy.extraHosts })
+            }
+        };
+    }
+
+    /**
+     * Pull the images of a build, reporting each one that is ready
+     * @method _pullImages
+     * @param  {Object}   config          Build config
+     * @param  {Array}    pulls           Arguments of each image pull
+     * @param  {Object}   [host]          Docker host to pull on
+     * @return {Promise}
+     */
+    _pullImages(config, pulls, host = this.hosts[0]) {
+        return Promise.all(
+            pulls.map(pullArgs =>
+                this._pullImage(pullArgs, host).then(() =>
+                    this._emit('pulled', {
+                        buildId: config.buildId,
+                        image: `${pullArgs.fromImage}:${pullArgs.tag}`,
+                        host: host.name
+                    })
+                )
+            )
+        );
+    }
+
+    /**
+     * Start a build right away when it fits in the capacity, queue it otherwise
+     * @method _schedule
+     * @param  {Object}   config            A configuration object
+     * @param  {Integer}  config.buildId    ID for the build
+     * @param  {Object}   [config.annotations] Build annotations (screwdriver.cd/priority)
+     * @param  {Object}   resources         NanoCpus and Memory of the build
+     * @param  {Function} launch            Starts the build
+     * @return {Promise}                    Resolves once the build started or is queued
+     */
+    _schedule(config, resources, launch) {
+        const { maxBuilds, cpu, memory } = this.capacity;
+
+        if (!maxBuilds && !cpu && !memory) {
+            return launch();
+        }
+
+        const need = { cpu: resources.NanoCpus / NANO_CPUS, memory: resources.Memory / GIGABYTE };
+
+        if ((cpu && need.cpu > cpu) || (memory && need.memory > memory)) {
+            return this._startFailed(
+                config,
+                'capacity',
+                new Error(
+                    `Build needs ${need.cpu} CPU and ${need.memory} GB of memory, more than the executor capacity`
+                )
+            );
+        }
+
+        const entry = {
+            config,
+            need,
+            launch,
+            priority: this.capacity.queue === 'priority' ? Number(getAnnotation(config, ANNOTATION_PRIORITY)) || 0 : 0,
+            order: (this.queueOrder += 1)
+        };
+        const index = this.queue.findIndex(
+            queued =>
+                queued.priority < entry.priority || (queued.priority === entry.priority && queued.order > entry.order)
+        );
+
+        this.queue.splice(index === -1 ? this.queue.length : index, 0, entry);
+
+        return this._drainQueue().then(() => {
+            if (entry.started) {
+                return entry.started;
+            }
+
+            entry.queued = true;
+            logger.info(`Build ${config.buildId} is waiting for capacity, ${this.queue.length} builds queued`);
+            this._emit('queued', { buildId: config.buildId, depth: this.queue.length });
+
+            return null;
+        });
+    }
+
+    /**
+     * Stop a docker build
+     * @method _stop
+     * @param  {Object}   config            A configuration object
+     * @param  {String}   [config.apiUri]   screwdriver base api uri
+     * @param  {Integer}  config.buildId    ID for the build
+     * @return {Promise}
+     */
+    _stop(config) {
+        const end = this.prometheus.stopDuration.startTimer();
+        let gracePeriod;
+
+        try {
+            gracePeriod = this._getGracePeriod(config);
+        } catch (err) {
+            // Never leave a build running over its annotations, _start rejects them anyway
+            logger.warn(`${err.message}, using ${this.terminationGracePeriod} seconds`);
+            gracePeriod = this.terminationGracePeriod;
+        }
+
+        // The exit of a stopped build is no failure to report
+        this._stopWatching(config.buildId);
+        // Queued builds never started, there is nothing else to stop
+        this.queue = this.queue.filter(entry => entry.config.buildId !== config.buildId);
+        this._clearDeadline(config.buildId);
+
+        if (this.swarm.enabled) {
+            return this._findServices(config.buildId)
+                .then(services => Promise.all(services.map(service => this._removeService(service))))
+                .then(() => this._removeSecrets(config.buildId))
+                .then(() => this._emit('stopped', { buildId: config.buildId }))
+                .finally(end);
+        }
+
+        // The placement is gone after a restart, the build can be on any host
+        return this._onEveryHost(
+            `stop build ${config.buildId}`,
+            host => this._removeBuild(config.buildId, gracePeriod, host),
+            this.placements.get(config.buildId)
+        )
+            .then(() => {
+                this.placements.delete(config.buildId);
+                this._emit('stopped', { buildId: config.buildId });
+                // The build made room for queued builds
+                this._drainQueue();
+            })
+            .finally(end);
+    }
+
+    /**
+     * Stop the build container, then remove the containers and networks of a build
+     * @method _removeBuild
+     * @param  {Integer}  buildId      ID for the build
+     * @param  {Number}   gracePeriod  Seconds the build container gets to exit
+     * @param  {Object}   host         Docker host
+     * @return {Promise}
+     */
+    _removeBuild(buildId, gracePeriod, host) {
+        const buildContainer = host.docker.getContainer(`${this.prefix}${buildId}-build`);
+
+        // Sidecars, the proxy and dind stay up for the teardown steps of the build
+        return this._killContainer(buildContainer, this.stopSignal, host)
+            .then(() => this._waitForExit(buildContainer, gracePeriod))
+            .then(() => this._findContainers(buildId, host))
+            .then(containers => Promise.all(containers.map(container => this._removeContainer(container, host))))
+            .then(() => this._findNetworks(buildId, host))
+            .then(networks => Promise.all(networks.map(network => this._removeNetwork(network, host))));
+    }
+
+    /**
+     * Attach to the output of a build container and record it in the background
+     * @method _attachLogs
+     * @param  {Object}    config          A configuration object
+     * @param  {Integer}   config.buildId  ID for the build
+     * @param  {String}    config.token    JWT for the Build
+     * @param  {Container} container       Docker build container
+     * @param  {Object}    [host]          Docker host, the first host by default
+     * @return {Promise}                   Resolves once attached
+     */
+    _attachLogs(config, container, host = this.hosts[0]) {
+        return host.breaker
+            .runCommand({
+                operation: 'attachContainer',
+                func: cb => container.attach({ stream: true, stdout: true, stderr: true, logs: true }, cb)
+            })
+            .then(stream => this._recordLogs(config, stream));
+    }
+
+    /**
+     * Write the output of a build to the logs directory, and push it to the store once the
+     * build container is done
+     * @method _recordLogs
+     * @param  {Object}   config          A configuration object
+     * @param  {Integer}  config.buildId  ID for the build
+     * @param  {String}   config.token    JWT for the Build
+     * @param  {Stream}   stream          Multiplexed output stream of the build container
+     */
+    _recordLogs(config, stream) {
+        const output = new PassThrough();
+        const chunks = [];
+        let size = 0;
+        let file;
+
+        const end = () => {
+            if (!output.writableEnded) {
+                output.end();
+            }
+        };
+
+        this.docker.modem.demuxStream(stream, output, output);
+        // Keep what was recorded when the connection to Docker breaks, an unhandled error would end the executor
+        stream.on('error', err => {
+            logger.error(`Failed to record logs of build ${config.buildId}: ${err.message}`);
+            end();
+        });
+        stream.on('end', end);
+        stream.on('close', end);
+
+        if (this.logs.dir) {
+            file = fs.createWriteStream(path.join(this.logs.dir, `${this.prefix}${config.buildId}.log`), {
+                mode: 0o600
+            });
+            file.on('error', err => logger.error(`Failed to write logs of build ${config.buildId}: ${err.message}`));
+            output.pipe(file);
+        }
+
+        if (this.logs.store) {
+            output.on('data', chunk => {
+                if (size < this.logs.maxBytes) {
+                    chunks.push(chunk.slice(0, this.logs.maxBytes - size));
+                    size += chunk.length;
+                }
+            });
+            output.on('end', () =>
+                this._pushLogs(config, Buffer.concat(chunks)).catch(err =>
+                    logger.error(`Failed to push logs of build ${config.buildId}: ${err.message}`)
+                )
+            );
+        }
+    }
+
+    /**
+     * Push the output of a build to the store as a build artifact
+     * @method _pushLogs
+     * @param  {Object}   config          A configuration object
+     * @param  {Integer}  config.buildId  ID for the build
+     * @param  {String}   config.token    JWT for the Build
+     * @param  {Buffer}   logs            Output of the build container
+     * @return {Promise}
+     */
+    _pushLogs({ buildId, token }, logs) {
+        return request({
+            method: 'PUT',
+            url: `${this.ecosystem.store}/v1/builds/${buildId}/ARTIFACTS/${LOG_ARTIFACT}`,
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'text/plain' },
+            body: logs
+        });
+    }
+
+    /**
+     * Read the output of a build container from Docker
+     * @method _readContainerLogs
+     * @param  {Integer}  buildId  ID for the build
+     * @return {Promise}           Output of the build container, null if it is gone
+     */
+    _readContainerLogs(buildId) {
+        const placed = this.placements.get(buildId);
+
+        // Without a placement, look on one host after the other
+        return (placed ? [placed] : this.hosts)
+            .reduce(
+                (found, { docker, breaker }) =>
+                    found.then(logs => {
+                        if (logs) {
+                            return logs;
+                        }
+
+                        const container = docker.getContainer(`${this.prefix}${buildId}-build`);
+
+                        return breaker.runCommand({
+                            operation: 'containerLogs',
+                            func: cb =>
+                                container.logs({ stdout: true, stderr: true, follow: false }, (err, output) => {
+                                    if (err && err.statusCode === 404) {
+                                        return cb(null, null);
+                                    }
+
+                                    return cb(err, output);
+                                })
+                        });
+                    }),
+                Promise.resolve(null)
+            )
+            .then(logs => (logs ? demuxLogs(logs) : null));
+    }
+
+    /**
+     * Update the status of a build in the Screwdriver API
+     * @method _updateBuildStatus
+     * @param  {Object}   config                 A configuration object
+     * @param  {String}   config.apiUri          screwdriver base api uri
+     * @param  {Integer}  config.buildId         ID for the build
+     * @param  {String}   config.token           JWT for the Build
+     * @param  {String}   config.status          New status of the build
+     * @param  {String}   config.statusMessage   Reason for the new status
+     * @return {Promise}
+     */
+    _updateBuildStatus({ apiUri, buildId, token, status, statusMessage }) {
+        return request({
+            method: 'PUT',
+            url: `${apiUri}/v4/builds/${buildId}`,
+            headers: { Authorization: `Bearer ${token}` },
+            json: { status, statusMessage }
+        });
+    }
+
+    /**
+     * Check the containers of a watched build and report a failure to the API. The watch ends
+     * with the report, once the build container exits, or once it is gone after it was seen.
+     * @method _pollBuild
+     * @param  {Object}   watch             Watched build
+     * @param  {String}   watch.apiUri      screwdriver base api uri
+     * @param  {Integer}  watch.buildId     ID for the build
+     * @param  {String}   watch.token       JWT for the Build
+     * @param  {Error}    [watch.pullError] Image pull failure recorded by _start
+     * @param  {Boolean}  [watch.seen]      Whether the build container was found before
+     * @return {Promise}                    Resolves to the reported failure message, if any
+     */
+    _pollBuild(watch) {
+        const { buildId } = watch;
+        const buildName = `/${this.prefix}${buildId}-build`;
+
+        if (watch.busy) {
+            return Promise.resolve(null);
+        }
+
+        watch.busy = true;
+
+        const host = this.placements.get(buildId) || this.hosts[0];
+
+        return this._findContainers(buildId, host)
+            .then(containers => Promise.all(containers.map(container => this._inspectContainer(container, host))))
+            .then(infos => {
+                const info = infos.find(container => container.Name === buildName);
+                let message = '';
+
+                if (watch.pullError) {
+                    message = `Build failed to start. ${watch.pullError.message}`;
+                } else if (info) {
+                    watch.seen = true;
+                    message = getFailureMessage(info);
+
+                    // A successful build is reported by the launcher itself
+                    if (!message && ['exited', 'dead'].includes(info.State.Status)) {
+                        this._stopWatching(buildId);
+                    }
+                } else if (watch.seen) {
+                    // The build was stopped or its containers were reaped, there is nothing left to watch
+                    this._stopWatching(buildId);
+                }
+
+                // Stopped while Docker was being asked, an aborted build is no failure
+                if (!message || this.watches.get(buildId) !== watch) {
+                    return null;
+                }
+
+                logger.info(`Build ${buildId} failed: ${message}`);
+
+                return this._updateBuildStatus({
+                    apiUri: watch.apiUri,
+                    buildId,
+                    token: watch.token,
+                    status: 'FAILURE',
+                    statusMessage: message
+                }).then(() => {
+                    this._stopWatching(buildId);
+
+                    return message;
+                });
+            })
+            .catch(err => {
+                logger.error(`Failed to check status of build ${buildId}: ${err.message}`);
+
+                return null;
+            })
+            .then(result => {
+                watch.busy = false;
+
+                return result;
+            });
+    }
+
+    /**
+     * Stop watching the status of a build
+     * @method _stopWatching
+     * @param  {Integer}  buildId    ID for the build
+     */
+    _stopWatching(buildId) {
+        const watch = this.watches.get(buildId);
+
+        if (watch) {
+            clearInterval(watch.timer);
+            this.watches.delete(buildId);
+        }
+    }
+
+    /**
+     * Start watching the containers of a build, reporting crashes, OOM kills and
+     * image pull failures back to the Screwdriver API
+     * @method _startPeriodic
+     * @param  {Object}   config            A configuration object
+     * @param  {String}   [config.apiUri]   screwdriver base api uri
+     * @param  {Integer}  config.buildId    ID for the build
+     * @param  {String}   config.token      JWT for the Build
+     * @return {Promise}  Resolves to null
+     */
+    _startPeriodic(config = {}) {
+        const { buildId, token } = config;
+
+        if (!buildId) {
+            return Promise.resolve(null);
+        }
+
+        const watch = {
+            apiUri: config.apiUri || this.ecosystem.api,
+            buildId,
+            token,
+            busy: false
+        };
+
+        this._stopWatching(buildId);
+        watch.timer = setInterval(() => this._pollBuild(watch), this.pollInterval);
+        // Watching builds should never keep the process alive
+        watch.timer.unref();
+        this.watches.set(buildId, watch);
+
+        return Promise.resolve(null);
+    }
+
+    /**
+     * Stop watching the containers of a build
+     * @method _stopPeriodic
+     * @param  {Object}   config            A configuration object
+     * @param  {Integer}  config.buildId    ID for the build
+     * @return {Promise}  Resolves to null
+     */
+    _stopPeriodic(config = {}) {
+        this._stopWatching(config.buildId);
+
+        return Promise.resolve(null);
+    }
+
+    /**
+     * Enforce the timeout of a started build, in case the launcher never does: the build is
+     * reported and stopped once it runs past its timeout plus reaper.grace
+     * @method _trackDeadline
+     * @param  {Object}   config            A configuration object
+     * @param  {String}   [config.apiUri]   screwdriver base api uri
+     * @param  {Integer}  config.buildId    ID for the build
+     * @param  {String}   [config.token]    JWT for the Build, read from the build container when not given
+     * @param  {Number}   timeout           Build timeout in minutes
+     * @param  {Number}   [started=now]     Time (in ms) the build started at
+     */
+    _trackDeadline({ apiUri, buildId, token }, timeout, started = Date.now()) {
+        const deadline = started + timeout * 60 * 1000 + this.reaper.grace;
+        const tracked = { buildId, apiUri, token, timeout, started, deadline };
+
+        this._clearDeadline(buildId);
+        tracked.timer = setTimeout(
+            () => {
+                this.deadlines.delete(buildId);
+                this._timeOut(tracked).catch(err =>
+                    logger.error(`Failed to stop build ${buildId} past its timeout: ${err.message}`)
+                );
+            },
+            Math.max(deadline - Date.now(), 0)
+        );
+        tracked.timer.unref();
+        this.deadlines.set(buildId, tracked);
+    }
+
+    /**
+     * Stop enforcing the timeout of a build
+     * @method _clearDeadline
+     * @param  {Integer}  buildId    ID for the build
+     */
+    _clearDeadline(buildId) {
+        const tracked = this.deadlines.get(buildId);
+
+        if (tracked) {
+            clearTimeout(tracked.timer);
+            this.deadlines.delete(buildId);
+        }
+    }
+
+    /**
+     * Report a build that ran past its timeout as failed, then stop it
+     * @method _timeOut
+     * @param  {Object}   tracked           Build deadline
+     * @param  {String}   [tracked.apiUri]  screwdriver base api uri
+     * @param  {Integer}  tracked.buildId   ID for the build
+     * @param  {String}   [tracked.token]   JWT for the Build, read from the build container when not given
+     * @param  {Number}   tracked.timeout   Build timeout in minutes
+     * @return {Promise}
+     */
+    _timeOut({ apiUri, buildId, token, timeout }) {
+        const statusMessage = `Build timed out after ${timeout} minutes`;
+        const host = this.placements.get(buildId) || this.hosts[0];
+        const getToken = () =>
+            token
+                ? Promise.resolve(token)
+                : this._readToken(host.docker.getContainer(`${this.prefix}${buildId}-build`), host);
+
+        logger.warn(`Build ${buildId} is past its timeout, stopping it`);
+        this._emit('timedout', { buildId, timeout });
+        this._stopWatching(buildId);
+
+        // The launcher cannot report anymore once its container is gone
+        return (
+            apiUri
+                ? getToken().then(buildToken =>
+                      this._updateBuildStatus({ apiUri, buildId, token: buildToken, status: 'FAILURE', statusMessage })
+                  )
+                : Promise.resolve()
+        )
+            .catch(err => logger.error(`Failed to report the timeout of build ${buildId}: ${err.message}`))
+            .then(() => this._stop({ buildId }));
+    }
+
+    /**
+     * Set up the schedule of frozen builds with the one left by a previous process
+     * @method _loadFrozen
+     */
+    _loadFrozen() {
+        let entries;
+
+        this.frozen = new Map();
+        this.frozenTimer = null;
+
+        try {
+            entries = JSON.parse(fs.readFileSync(this.frozenFile, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                logger.error(`Failed to load frozen builds from ${this.frozenFile}: ${err.message}`);
+            }
+
+            return;
+        }
+
+        if (!Array.isArray(entries)) {
+            logger.error(`Failed to load frozen builds from ${this.frozenFile}: not a list`);
+
+            return;
+        }
+
+        entries.forEach(entry => this.frozen.set(entry.key, entry));
+        this._scheduleFrozen();
+    }
+
+    /**
+     * Write the schedule of frozen builds to disk
+     * @method _saveFrozen
+     * @throws {Error}    When the file cannot be written
+     */
+    _saveFrozen() {
+        const tmpFile = `${this.frozenFile}.tmp`;
+
+        // Entries hold build tokens, keep them private and never leave a half written file. The
+        // temporary file is created anew, never written through a file or link left by someone else.
+        fs.mkdirSync(path.dirname(this.frozenFile), { recursive: true, mode: 0o700 });
+        fs.rmSync(tmpFile, { force: true });
+        fs.writeFileSync(tmpFile, JSON.stringify([...this.frozen.values()]), { mode: 0o600, flag: 'wx' });
+        fs.renameSync(tmpFile, this.frozenFile);
+    }
+
+    /**
+     * Start or stop checking for frozen builds depending on the schedule
+     * @method _scheduleFrozen
+     */
+    _scheduleFrozen() {
+        if (this.frozen.size === 0) {
+            clearInterval(this.frozenTimer);
+            this.frozenTimer = null;
+        } else if (!this.frozenTimer) {
+            this.frozenTimer = setInterval(() => this._releaseFrozen(), this.frozenInterval);
+            this.frozenTimer.unref();
+        }
+    }
+
+    /**
+     * Start the frozen builds whose freeze windows are over
+     * @method _releaseFrozen
+     * @param  {Date}     [now]   Current time
+     * @return {Promise}          Resolves once the released builds are started
+     */
+    _releaseFrozen(now = new Date()) {
+        const released = [...this.frozen.values()].filter(entry => entry.releaseTime <= now.getTime());
+
+        if (released.length === 0) {
+            return Promise.resolve();
+        }
+
+        released.forEach(entry => this.frozen.delete(entry.key));
+        this._scheduleFrozen();
+
+        // Runs from a timer, a full or read-only disk must not take the executor down
+        try {
+            this._saveFrozen();
+        } catch (err) {
+            logger.error(`Failed to save frozen builds to ${this.frozenFile}: ${err.message}`);
+        }
+
+        return Promise.all(
+            released.map(({ config }) => {
+                logger.info(`Releasing frozen build ${config.buildId}`);
+
+                return this._start(config).catch(err => {
+                    logger.error(`Failed to start frozen build ${config.buildId}: ${err.message}`);
+
+                    return this._updateBuildStatus({
+                        apiUri: config.apiUri || this.ecosystem.api,
+                        buildId: config.buildId,
+                        token: config.token,
+                        status: 'FAILURE',
+                        statusMessage: `Build failed to start after its freeze window: ${err.message}`
+                    }).catch(updateErr => {
+                        logger.error(`Failed to update frozen build ${config.buildId}: ${updateErr.message}`);
+                    });
+                });
+            })
+        );
+    }
+
+    /**
+     * Starts a build once its freeze windows are over. The schedule is kept on disk so
+     * pending builds survive a restart of the executor. The build starts with the token it was
+     * frozen with, which must still be valid when the freeze windows end.
+     * @method _startFrozen
+     * @param  {Object}   config                  A configuration object (same as _start)
+     * @param  {Integer}  config.buildId          ID for the build
+     * @param  {Integer}  [config.jobId]          ID for the job, a newer frozen build replaces the pending one
+     * @param  {Array}    [config.freezeWindows]  Cron expressions the build cannot run during
+     * @return {Promise}
+     */
+    _startFrozen(config = {}) {
+        if (!config.buildId) {
+            return Promise.resolve(null);
+        }
+
+        let releaseTime;
+
+        try {
+            releaseTime = getReleaseTime(config.freezeWindows || [], new Date());
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        if (releaseTime.getTime() <= Date.now()) {
+            return this._start(config);
+        }
+
+        const key = config.jobId || config.buildId;
+        const replaced = this.frozen.get(key);
+
+        this.frozen.set(key, { key, releaseTime: releaseTime.getTime(), config });
+
+        try {
+            this._saveFrozen();
+        } catch (err) {
+            // The build would not survive a restart, keep the schedule as it is on disk
+            if (replaced) {
+                this.frozen.set(key, replaced);
+            } else {
+                this.frozen.delete(key);
+            }
+
+            return Promise.reject(err);
+        }
+
+        this._scheduleFrozen();
+        logger.info(`Build ${config.buildId} is frozen until ${releaseTime.toISOString()}`);
+
+        return Promise.resolve(null);
+    }
+
+    /**
+     * Cancels a pending frozen build
+     * @method _stopFrozen
+     * @param  {Object}   config             A configuration object
+     * @param  {Integer}  [config.jobId]     ID for the job of the frozen build
+     * @param  {Integer}  [config.buildId]   ID for the build, used when no job is given
+     * @return {Promise}  Resolves to null
      */
-    constructor(options) {
-        super();
+    _stopFrozen(config = {}) {
+        const key = config.jobId || config.buildId;
 
-        this.ecosystem = options.ecosystem;
-        this.docker = new Docker(options.docker);
-        this.launchVersion = options.launchVersion || 'stable';
-        this.launchImage = options.launchImage || 'screwdrivercd/launcher';
-        this.prefix = options.prefix || '';
+        if (this.frozen.delete(key)) {
+            this._scheduleFrozen();
 
-        const breakerOptions = hoek.applyToDefaults(
-            {
-                breaker: {
-                    maxFailures: 10,
-                    timeout: 5 * 60 * 1000 // Default to 5 minute timeout,
-                }
-            },
-            options.fusebox || {}
+            try {
+                this._saveFrozen();
+            } catch (err) {
+                return Promise.reject(err);
+            }
+        }
+
+        return Promise.resolve(null);
+    }
+
+    /**
+     * Remove the build networks left behind by builds without containers. Networks younger
+     * than reaper.maxAge are kept, their build may still be starting.
+     * @method _reapNetworks
+     * @param  {Set}      activeBuilds  sdbuild labels of the builds that still have containers
+     * @param  {Number}   now           Time of the cleanup run
+     * @param  {Object}   [host]        Docker host, the first host by default
+     * @return {Promise}
+     */
+    _reapNetworks(activeBuilds, now, host = this.hosts[0]) {
+        const pattern = new RegExp(`^${hoek.escapeRegex(this.prefix)}\\d+$`);
+        const listArgs = {
+            filters: JSON.stringify({ label: ['sdbuild'] })
+        };
+
+        return host.breaker
+            .runCommand({
+                operation: 'listNetworks',
+                func: cb => host.docker.listNetworks(listArgs, cb)
+            })
+            .then(networks =>
+                Promise.all(
+                    networks
+                        .filter(
+                            info =>
+                                pattern.test(info.Labels.sdbuild) &&
+                                !activeBuilds.has(info.Labels.sdbuild) &&
+                                now - Date.parse(info.Created) > this.reaper.maxAge
+                        )
+                        .map(info =>
+                            this._removeNetwork(host.docker.getNetwork(info.Id), host).catch(err => {
+                                logger.error(`Failed to clean up build network ${info.Name}: ${err.message}`);
+                            })
+                        )
+                )
+            );
+    }
+
+    /**
+     * Reap the build containers and networks on a Docker host
+     * @method _reap
+     * @param  {Number}   now      Time of the cleanup run
+     * @param  {Object}   counts   Removed, killed and failed containers, counted up
+     * @param  {Object}   host     Docker host
+     * @return {Promise}
+     */
+    _reap(now, counts, host) {
+        const activeBuilds = new Set();
+
+        return this._listBuildContainers(host)
+            .then(containers =>
+                Promise.all(
+                    containers.map(info =>
+                        this._reapContainer(info, now, host).then(
+                            action => {
+                                if (action) {
+                                    counts[action] += 1;
+                                }
+                                if (action !== 'removed') {
+                                    activeBuilds.add(info.Labels.sdbuild);
+                                }
+                            },
+                            err => {
+                                counts.failed += 1;
+                                activeBuilds.add(info.Labels.sdbuild);
+                                logger.error(`Failed to clean up build container ${info.Id}: ${err.message}`);
+                            }
+                        )
+                    )
+                )
+            )
+            .then(() => this._reapNetworks(activeBuilds, now, host));
+    }
+
+    /**
+     * Remove exited build containers older than reaper.maxAge and kill running ones past their
+     * timeout plus reaper.grace, for builds that were never stopped. Killed containers are
+     * removed by a later run once they are old enough, and so are the networks of builds
+     * without containers.
+     * @method cleanup
+     * @return {Promise}  Resolves to the number of removed, killed and failed containers
+     */
+    cleanup() {
+        if (this.reaper.running) {
+            return this.reaper.running;
+        }
+
+        const now = Date.now();
+        const counts = { removed: 0, killed: 0, failed: 0 };
+
+        this.reaper.running = this._onEveryHost('clean up build containers', host => this._reap(now, counts, host))
+            .then(() => {
+                const { stats } = this.reaper;
+
+                stats.runs += 1;
+                stats.removed += counts.removed;
+                stats.killed += counts.killed;
+                stats.failed += counts.failed;
+                stats.lastRun = new Date(now).toISOString();
+
+                return counts;
+            })
+            .finally(() => {
+                this.reaper.running = null;
+            });
+
+        return this.reaper.running;
+    }
+
+    /**
+     * Find the build containers of the running builds on every host, for every executor
+     * instance sharing the prefix
+     * @method _listBuilds
+     * @return {Promise}  Resolves to the Docker container list entries with their host: { info, host }
+     */
+    _listBuilds() {
+        return this._onEveryHost('list builds', host =>
+            this._listBuildContainers(host).then(containers =>
+                containers
+                    .filter(
+                        info =>
+                            ACTIVE_STATES.includes(info.State) && info.Names.includes(`/${info.Labels.sdbuild}-build`)
+                    )
+                    .map(info => ({ info, host }))
+            )
+        ).then(results => [].concat(...results));
+    }
+
+    /**
+     * Describe a build from the labels of its build container
+     * @method _describeBuild
+     * @param  {Object}   info     Docker container list entry of the build container
+     * @param  {Object}   host     Docker host
+     * @return {Object}            Build
+     */
+    _describeBuild(info, host) {
+        const labels = info.Labels;
+        const timeout = parseInt(labels.sdtimeout, 10);
+        // Containers from before the sdstarted label started about when they were created
+        const started = Date.parse(labels.sdstarted) || info.Created * 1000;
+        const toNumber = value => (value === undefined ? undefined : Number(value));
+
+        return {
+            buildId: Number(labels.sdbuild.slice(this.prefix.length)),
+            host: host.name,
+            executor: labels.sdexecutor,
+            state: info.State,
+            pipelineId: toNumber(labels.sdpipeline),
+            jobId: toNumber(labels.sdjob),
+            eventId: toNumber(labels.sdevent),
+            started: new Date(started).toISOString(),
+            timeout: timeout > 0 ? timeout : undefined,
+            launchVersion: labels.sdlaunchversion
+        };
+    }
+
+    /**
+     * Pick up a running build container again: remember its host and enforce its deadline
+     * @method _reconcileBuild
+     * @param  {Object}   info     Docker container list entry of the build container
+     * @param  {Object}   host     Docker host
+     * @return {Object}            Running build
+     */
+    _reconcileBuild(info, host) {
+        const build = this._describeBuild(info, host);
+        const { buildId, timeout } = build;
+
+        this.placements.set(buildId, host);
+        if (timeout && !this.deadlines.has(buildId)) {
+            this._trackDeadline({ buildId, apiUri: info.Labels.sdapi }, timeout, Date.parse(build.started));
+        }
+
+        return build;
+    }
+
+    /**
+     * Rebuild the view of the running builds of this executor from the labels of their build
+     * containers, after a restart: the host each build runs on for stop and status checks, and
+     * the deadline of its timeout. Build containers of other executor instances sharing the
+     * Docker hosts are left alone. Capacity limits and cleanup read Docker already.
+     * @method reconcile
+     * @return {Promise}  Resolves to the running builds found
+     */
+    reconcile() {
+        // Swarm services have no build containers on the manager
+        if (this.swarm.enabled) {
+            return Promise.resolve([]);
+        }
+
+        return this._listBuilds().then(builds =>
+            builds
+                .filter(({ info }) => [undefined, this.instanceId].includes(info.Labels.sdexecutor))
+                .map(({ info, host }) => this._reconcileBuild(info, host))
         );
+    }
+
+    /**
+     * List the running builds with this prefix on every host, whichever executor instance
+     * started them
+     * @method list
+     * @return {Promise}  Resolves to the running builds
+     */
+    list() {
+        // Swarm services have no build containers on the manager
+        if (this.swarm.enabled) {
+            return Promise.resolve([]);
+        }
 
-        this.breaker = new Fusebox((obj, cb) => obj.func(cb), breakerOptions);
+        return this._listBuilds().then(builds => builds.map(({ info, host }) => this._describeBuild(info, host)));
     }
 
     /**
-     * Create a Docker container
-     * @method _createContainer
-     * @param  {Object}   options Docker container options
-     * @return {Promise}          Docker container object
+     * Describe a container of a build from its inspect data and the digest of its image
+     * @method _describeContainer
+     * @param  {Object}   inspect  Docker container inspect data
+     * @param  {Object}   host     Docker host
+     * @return {Promise}           Resolves to the container status
      */
-    _createContainer(options) {
-        return this.breaker.runCommand({
-            func: cb => this.docker.createContainer(options, cb)
+    _describeContainer(inspect, host) {
+        const state = inspect.State;
+        // Docker reports the zero time for containers that never started or finished
+        const toTime = value => (Date.parse(value) > 0 ? new Date(value).toISOString() : null);
+
+        return this._inspectImage(inspect.Image, host).then(image => {
+            // Images built on the host and never pushed or pulled have no digest
+            const repoDigest = hoek.reach(image, 'RepoDigests.0');
+
+            return {
+                name: inspect.Name.replace(/^\//, ''),
+                id: inspect.Id,
+                host: host.name,
+                image: inspect.Config.Image,
+                imageId: inspect.Image,
+                imageDigest: repoDigest ? repoDigest.split('@')[1] : null,
+                state: state.Status,
+                exitCode: state.ExitCode,
+                oomKilled: state.OOMKilled,
+                error: state.Error || null,
+                startedAt: toTime(state.StartedAt),
+                finishedAt: toTime(state.FinishedAt)
+            };
         });
     }
 
     /**
-     * Create a Docker image
-     * @method _createImage
-     * @param  {Object}   options Docker image options
-     * @return {Promise}          Docker image object
+     * Get the status of the containers of a build, the build container and its sidecars, on
+     * whichever host they are
+     * @method _status
+     * @param  {Object}   config           A configuration object
+     * @param  {Integer}  config.buildId   ID for the build
+     * @return {Promise}  Resolves to the build status, null if the build has no containers
      */
-    _createImage(options) {
-        return this.breaker.runCommand({
-            func: cb => this.docker.createImage(options, cb)
+    _status({ buildId }) {
+        if (this.swarm.enabled) {
+            return Promise.reject(new Error('Build status is not available in swarm mode'));
+        }
+
+        const buildName = `${this.prefix}${buildId}-build`;
+
+        return this._onEveryHost(
+            `find the containers of build ${buildId}`,
+            host =>
+                this._findContainers(buildId, host).then(containers =>
+                    Promise.all(
+                        containers.map(container =>
+                            this._inspectContainer(container, host).then(inspect =>
+                                this._describeContainer(inspect, host)
+                            )
+                        )
+                    )
+                ),
+            this.placements.get(buildId)
+        ).then(results => {
+            const containers = [].concat(...results);
+            const build = containers.find(container => container.name === buildName);
+
+            if (containers.length === 0) {
+                return null;
+            }
+
+            return {
+                buildId,
+                host: (build || containers[0]).host,
+                state: build ? build.state : null,
+                containers
+            };
         });
     }
 
     /**
-     * Start a Docker container
-     * @method _startContainer
-     * @param  {Container}   container Docker container to start
-     * @return {Promise}
+     * Get the output of a build container, from the logs directory when it is kept there and
+     * from Docker while the container is around
+     * @method getLogs
+     * @param  {Integer}  buildId  ID for the build
+     * @return {Promise}           Output of the build container, null if there is none
      */
-    _startContainer(container) {
-        return this.breaker.runCommand({
-            func: cb => container.start(cb)
+    getLogs(buildId) {
+        // The build ID is part of a path, nothing but digits may get there
+        if (!/^\d+$/.test(String(buildId))) {
+            return Promise.reject(new Error(`Invalid build ID "${buildId}"`));
+        }
+
+        if (!this.logs.dir) {
+            return this._readContainerLogs(buildId);
+        }
+
+        return fs.promises.readFile(path.join(this.logs.dir, `${this.prefix}${buildId}.log`), 'utf8').catch(err => {
+            if (err.code === 'ENOENT') {
+                return this._readContainerLogs(buildId);
+            }
+
+            throw err;
         });
     }
 
     /**
-     * Remove a Docker container
-     * @method _removeContainer
-     * @param  {Container}   container Docker container to remove
-     * @return {Promise}
+     * Check the free disk space in the Docker root of a host. Only the Docker root of a daemon
+     * on this machine is in reach, other hosts are not checked.
+     * @method _checkDisk
+     * @param  {Object}   host     Docker host
+     * @return {Promise}           Resolves to the disk check
      */
-    _removeContainer(container) {
-        return this.breaker.runCommand({
-            func: cb => container.remove({ v: true, force: true }, cb)
+    _checkDisk(host) {
+        const minFree = this.health.minFreeDisk;
+
+        if (!host.docker.modem.socketPath) {
+            return Promise.resolve({ ok: true, checked: false });
+        }
+
+        return dockerCall(cb => host.docker.info(cb)).then(info =>
+            fs.promises.statfs(info.DockerRootDir).then(
+                stats => {
+                    const free = Math.floor(((stats.bavail * stats.bsize) / GIGABYTE) * 10) / 10;
+
+                    return { ok: free >= minFree, checked: true, free, minFree };
+                },
+                err => {
+                    // The executor runs in a container without the Docker root mounted
+                    if (err.code === 'ENOENT') {
+                        return { ok: true, checked: false };
+                    }
+
+                    throw err;
+                }
+            )
+        );
+    }
+
+    /**
+     * Check that a host reaches the registry of the launcher image, without pulling it
+     * @method _checkRegistry
+     * @param  {Object}   host     Docker host
+     * @return {Promise}           Resolves to the registry check
+     */
+    _checkRegistry(host) {
+        const image = `${this.launchImage}:${this.launchVersion}`;
+
+        return this._getRegistryAuth(imageParser(this.launchImage).registry)
+            .then(authconfig =>
+                dockerCall(cb => host.docker.getImage(image).distribution(authconfig ? { authconfig } : {}, cb))
+            )
+            .then(() => ({ ok: true, image }));
+    }
+
+    /**
+     * Run the health checks of a host. Checks go around the circuit breaker, so a daemon that
+     * is back shows up as healthy while its breaker is still open.
+     * @method _checkHost
+     * @param  {Object}   host     Docker host
+     * @return {Promise}           Resolves to the health of the host
+     */
+    _checkHost(host) {
+        const checks = {};
+        const run = (name, check) =>
+            withTimeout(check(), this.health.timeout).then(
+                result => {
+                    checks[name] = result;
+                },
+                err => {
+                    checks[name] = { ok: false, message: err.message };
+                }
+            );
+
+        return run('ping', () => dockerCall(cb => host.docker.ping(cb)).then(() => ({ ok: true })))
+            .then(() => {
+                // Nothing else answers when the daemon does not
+                if (!checks.ping.ok) {
+                    return null;
+                }
+
+                return Promise.all([
+                    run('version', () =>
+                        dockerCall(cb => host.docker.version(cb)).then(version => ({
+                            ok: compareApiVersions(version.ApiVersion, this.health.minApiVersion) >= 0,
+                            apiVersion: version.ApiVersion,
+                            minApiVersion: this.health.minApiVersion
+                        }))
+                    ),
+                    run('disk', () => this._checkDisk(host)),
+                    run('registry', () => this._checkRegistry(host))
+                ]);
+            })
+            .then(() => ({
+                healthy: Object.keys(checks).every(name => checks[name].ok),
+                breaker: host.breaker.isClosed() ? 'closed' : 'open',
+                checks
+            }));
+    }
+
+    /**
+     * Check that the Docker hosts can run builds: the daemon answers, speaks a recent enough
+     * API, has disk space left in its Docker root and reaches the registry of the launcher
+     * image. The executor is healthy while any of its hosts is.
+     * @method healthCheck
+     * @return {Promise}  Resolves to { healthy, hosts } with the checks of every host by name
+     */
+    healthCheck() {
+        return Promise.all(this.hosts.map(host => this._checkHost(host))).then(results => ({
+            healthy: results.some(result => result.healthy),
+            hosts: this.hosts.reduce((hosts, host, index) => ({ ...hosts, [host.name]: results[index] }), {})
+        }));
+    }
+
+    /**
+     * Announce an event of a build to the listeners of the executor
+     * @method _emit
+     * @param  {String}   type     Event type
+     * @param  {Object}   data     Event data, with the buildId
+     */
+    _emit(type, data) {
+        try {
+            this.events.emit(type, { type, timestamp: new Date().toISOString(), ...data });
+        } catch (err) {
+            logger.error(`Failed to handle ${type} event of build ${data.buildId}: ${err.message}`);
+        }
+
+        // Listeners added with once can be all gone now
+        if (this.events.eventNames().length === 0) {
+            this._unwatchEvents();
+        }
+    }
+
+    /**
+     * Turn a Docker event of a build container into an executor event
+     * @method _onDockerEvent
+     * @param  {Object}   host     Docker host
+     * @param  {Object}   watch    Event watch of the host
+     * @param  {String}   line     Docker event as JSON
+     */
+    _onDockerEvent(host, watch, line) {
+        const pattern = new RegExp(`^${hoek.escapeRegex(this.prefix)}(\\d+)$`);
+        let event;
+
+        try {
+            event = JSON.parse(line);
+        } catch (err) {
+            logger.error(`Failed to parse Docker event from host ${host.name}: ${err.message}`);
+
+            return;
+        }
+
+        const attributes = hoek.reach(event, 'Actor.Attributes', { default: {} });
+        const match = pattern.exec(attributes.sdbuild);
+        const type = CONTAINER_EVENTS[event.Action];
+
+        watch.since = event.time;
+
+        if (!match || !type) {
+            return;
+        }
+
+        this._emit(type, {
+            buildId: Number(match[1]),
+            containerId: event.Actor.ID,
+            name: attributes.name,
+            host: host.name,
+            timestamp: new Date(event.timeNano ? event.timeNano / 1e6 : event.time * 1000).toISOString(),
+            ...(type === 'exited' && { exitCode: Number(attributes.exitCode) })
         });
     }
 
     /**
-     * Find Docker containers
-     * @method _findContainers
-     * @param  {Integer}  buildId Build ID to find
-     * @return {Promise}          List of containers
+     * Follow the Docker events of the build containers on a host. The stream is not a call
+     * that ends, so it goes around the circuit breaker and is opened again when it breaks.
+     * @method _subscribeEvents
+     * @param  {Object}   host     Docker host
+     * @param  {Number}   [since]  Time (in seconds) of the last event seen
      */
-    _findContainers(buildId) {
-        const listArgs = {
+    _subscribeEvents(host, since) {
+        const watch = { stream: null, timer: null, since };
+        const options = {
             filters: JSON.stringify({
-                label: [`sdbuild=${this.prefix}${buildId}`]
-            }),
-            all: true
+                type: ['container'],
+                label: ['sdbuild'],
+                event: Object.keys(CONTAINER_EVENTS)
+            })
         };
 
-        return this.breaker
-            .runCommand({
-                func: cb => this.docker.listContainers(listArgs, cb)
-            })
-            .then(containers => containers.map(container => this.docker.getContainer(container.Id)));
+        if (since) {
+            options.since = since;
+        }
+
+        host.eventWatch = watch;
+        host.docker.getEvents(options, (err, stream) => {
+            let buffer = '';
+
+            // Nobody is listening anymore
+            if (host.eventWatch !== watch) {
+                if (stream) {
+                    stream.destroy();
+                }
+
+                return;
+            }
+
+            if (err) {
+                logger.error(`Failed to follow Docker events on host ${host.name}: ${err.message}`);
+                this._resubscribeEvents(host, watch);
+
+                return;
+            }
+
+            watch.stream = stream;
+            stream.on('data', chunk => {
+                const lines = (buffer + chunk).split('\n');
+
+                buffer = lines.pop();
+                lines.filter(Boolean).forEach(line => this._onDockerEvent(host, watch, line));
+            });
+            stream.on('error', streamErr =>
+                logger.error(`Lost the Docker events of host ${host.name}: ${streamErr.message}`)
+            );
+            stream.on('close', () => this._resubscribeEvents(host, watch));
+        });
     }
 
     /**
-     * Starts a docker build
-     * @method _start
-     * @param  {Object}   config            A configuration object
-     * @param  {String}   [config.apiUri]   screwdriver base api uri
-     * @param  {Integer}  config.buildId    ID for the build
-     * @param  {String}   config.container  Container for the build to run in
-     * @param  {String}   config.token      JWT for the Build
-     * @return {Promise}
+     * Follow the Docker events of a host again a little later, from the last event seen
+     * @method _resubscribeEvents
+     * @param  {Object}   host     Docker host
+     * @param  {Object}   watch    Event watch of the host that broke
      */
+    _resubscribeEvents(host, watch) {
+        if (host.eventWatch !== watch || watch.timer) {
+            return;
+        }
 
-    _start(config) {
-        const piecesParts = imageParser(config.container);
-        let buildTag = piecesParts.tag;
-        let buildImage = piecesParts.name;
-        const buildTimeout = hoek.reach(config, 'annotations>screwdriver.cd/timeout', { separator: '>' });
-        const timeout = parseInt(buildTimeout || DEFAULT_BUILD_TIMEOUT, 10);
+        watch.stream = null;
+        watch.timer = setTimeout(() => this._subscribeEvents(host, watch.since), EVENTS_RETRY_DELAY);
+        watch.timer.unref();
+    }
 
-        /**
-         *
-         * the docker-parse-image returns a fullname that always contains
-         * a namespace, which defaults to 'library' if no namespace is specified.
-         * perhaps library is the historical place to put things? but,
-         * my private registry does not work with 'library' injected in to the
-         * docker image name.  In other words, if I try to parse:
-         * 'myregistry.private.com/myimage'
-         * i end up with
-         * 'myregistry.private.com/library/myimage:latest'
-         * there is no library namespace in my private registry, so this fails.
-         */
-        if (piecesParts.tag !== null && piecesParts.tag !== 'latest') {
-            const containerNameParts = piecesParts.name.split(':');
-
-            containerNameParts.pop();
-            buildImage = containerNameParts.join(':');
-        } else {
-            buildTag = 'latest';
+    /**
+     * Start following the Docker events of every host, unless already following them. Swarm
+     * build containers run on the nodes, their events do not reach the manager.
+     * @method _watchEvents
+     */
+    _watchEvents() {
+        if (this.swarm.enabled || this.hosts.some(host => host.eventWatch)) {
+            return;
         }
 
-        return Promise.all([
-            this._createImage({
-                fromImage: this.launchImage,
-                tag: this.launchVersion
-            }),
-            this._createImage({
-                fromImage: buildImage,
-                tag: buildTag
-            })
-        ])
-            .then(() =>
-                this._createContainer({
-                    name: `${this.prefix}${config.buildId}-init`,
-                    Image: `${this.launchImage}:${this.launchVersion}`,
-                    Entrypoint: '/bin/true',
-                    Labels: {
-                        sdbuild: `${this.prefix}${config.buildId}`
-                    }
-                })
-            )
-            .then(launchContainer =>
-                this._createContainer({
-                    name: `${this.prefix}${config.buildId}-build`,
-                    Image: config.container,
-                    Entrypoint: '/opt/sd/launcher_entrypoint.sh',
-                    Labels: {
-                        sdbuild: `${this.prefix}${config.buildId}`
-                    },
-                    Cmd: [
-                        [
-                            // Run the wrapper script
-                            '/opt/sd/run.sh',
-                            `"${config.token}"`,
-                            this.ecosystem.api,
-                            this.ecosystem.store,
-                            timeout,
-                            config.buildId,
-                            this.ecosystem.ui
-                        ].join(' ')
-                    ],
-                    HostConfig: {
-                        // 2 GB of memory
-                        Memory: 2 * 1024 * 1024 * 1024,
-                        // 3 GB of memory + swap (aka, 1 GB of swap)
-                        MemoryLimit: 3 * 1024 * 1024 * 1024,
-                        VolumesFrom: [`${launchContainer.id}:rw`],
-                        Privileged: true,
-                        Binds: ['/var/run/docker.sock:/var/run/docker.sock']
-                    }
-                })
-            )
-            .then(buildContainer => this._startContainer(buildContainer));
+        this.hosts.forEach(host => this._subscribeEvents(host));
     }
 
     /**
-     * Stop a docker build
-     * @method _stop
-     * @param  {Object}   config            A configuration object
-     * @param  {String}   [config.apiUri]   screwdriver base api uri
-     * @param  {Integer}  config.buildId    ID for the build
-     * @return {Promise}
+     * Stop following the Docker events of every host
+     * @method _unwatchEvents
      */
-    _stop(config) {
-        return this._findContainers(config.buildId).then(containers =>
-            Promise.all(containers.map(container => this._removeContainer(container)))
-        );
+    _unwatchEvents() {
+        this.hosts.forEach(host => {
+            const watch = host.eventWatch;
+
+            host.eventWatch = null;
+            if (watch) {
+                clearTimeout(watch.timer);
+                if (watch.stream) {
+                    watch.stream.destroy();
+                }
+            }
+        });
     }
 
     /**
-     * Starts a new periodic build in an executor
-     * @method _startPeriodic
-     * @return {Promise}  Resolves to null since it's not supported
+     * Listen to the events of builds: queued, pulled, failed, stopped and timedout from the executor itself,
+     * created, started, exited, oom and removed from the Docker events of build containers
+     * @method on
+     * @param  {String}   type     Event type
+     * @param  {Function} listener Gets the event, with type, buildId and timestamp
+     * @return {DockerExecutor}
      */
-    _startPeriodic() {
-        return Promise.resolve(null);
+    on(type, listener) {
+        this.events.on(type, listener);
+        this._watchEvents();
+
+        return this;
     }
 
     /**
-     * Stops a new periodic build in an executor
-     * @method _stopPeriodic
-     * @return {Promise}  Resolves to null since it's not supported
+     * Listen to the next event of a type only
+     * @method once
+     * @param  {String}   type     Event type
+     * @param  {Function} listener Gets the event, with type, buildId and timestamp
+     * @return {DockerExecutor}
      */
-    _stopPeriodic() {
-        return Promise.resolve(null);
+    once(type, listener) {
+        this.events.once(type, listener);
+        this._watchEvents();
+
+        return this;
     }
 
     /**
-     * Starts a new frozen build in an executor
-     * @method _startFrozen
-     * @return {Promise}  Resolves to null since it's not supported
+     * Stop listening to events, the Docker events are no longer followed once nobody listens
+     * @method off
+     * @param  {String}   type     Event type
+     * @param  {Function} listener Listener given to on or once
+     * @return {DockerExecutor}
      */
-    _startFrozen() {
-        return Promise.resolve(null);
+    off(type, listener) {
+        this.events.off(type, listener);
+        if (this.events.eventNames().length === 0) {
+            this._unwatchEvents();
+        }
+
+        return this;
     }
 
     /**
-     * Stops a new frozen build in an executor
-     * @method _stopFrozen
-     * @return {Promise}  Resolves to null since it's not supported
+     * Get the metrics of the executor: image pulls, container creates and starts, build start
+     * failures and stops, running builds and failed Docker calls
+     * @method metrics
+     * @return {Promise}  Resolves to the metrics in the Prometheus text format
      */
-    _stopFrozen() {
-        return Promise.resolve(null);
+    metrics() {
+        return this.prometheus.registry.metrics();
+    }
+
+    /**
+     * Stop all background work of the executor
+     * @method _cleanUp
+     * @return {Promise}
+     */
+    _cleanUp() {
+        [...this.watches.keys()].forEach(buildId => this._stopWatching(buildId));
+        [...this.deadlines.keys()].forEach(buildId => this._clearDeadline(buildId));
+        clearInterval(this.frozenTimer);
+        this.frozenTimer = null;
+        clearInterval(this.reaper.timer);
+        this.reaper.timer = null;
+        clearInterval(this.queueTimer);
+        this.queueTimer = null;
+        this._unwatchEvents();
+
+        return Promise.resolve();
     }
 
     /**
@@ -273,7 +4407,12 @@ class DockerExecutor extends Executor {
      * @param  {Response} Object Object containing stats for the executor/breaker
      */
     stats() {
-        return this.breaker.stats();
+        return {
+            ...this.breaker.stats(),
+            reaper: { ...this.reaper.stats },
+            queue: { depth: this.queue.length, starting: this.starting.size },
+            hosts: this.hosts.reduce((hosts, host) => ({ ...hosts, [host.name]: host.breaker.stats() }), {})
+        };
     }
 }
 
@@ -3,18 +3,46 @@
 const { assert } = require('chai');
 const sinon = require('sinon');
 const mockery = require('mockery');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const tar = require('tar-stream');
 
 sinon.assert.expose(assert, { prefix: '' });
 
+/**
+ * Wait for a condition to become true
+ * @method waitFor
+ * @param  {Function} check Returns true once done
+ * @return {Promise}
+ */
+function waitFor(check) {
+    if (check()) {
+        return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+        setTimeout(resolve, 10);
+    }).then(() => waitFor(check));
+}
+
 describe('index', function () {
     // Time not important. Only life important.
     this.timeout(5000);
 
+    const launcherImageId = 'sha256:1a2b3c4d5e6f7a8b9c0d';
+    const launcherVolume = 'sd-launcher-stable-1a2b3c4d5e6f';
     let Executor;
     let dockerodeMock;
     let dockerMock;
     let containerMock;
     let containerShellMock;
+    let imageMock;
+    let launcherImageMock;
+    let volumeMock;
+    let networkMock;
     let executor;
 
     before(() => {
@@ -27,18 +55,57 @@ describe('index', function () {
     beforeEach(() => {
         containerMock = {
             id: 'containerID',
+            putArchive: sinon.stub().yieldsAsync(),
             start: sinon.stub().yieldsAsync(),
+            kill: sinon.stub().yieldsAsync(),
+            wait: sinon.stub().yieldsAsync(null, { StatusCode: 143 }),
             remove: sinon.stub().yieldsAsync()
         };
         containerShellMock = {
-            id: 'containerID'
+            Id: 'containerID',
+            State: 'running',
+            Names: ['/1992-build'],
+            Labels: { sdbuild: '1992' }
+        };
+        imageMock = {
+            inspect: sinon.stub().yieldsAsync(Object.assign(new Error('No such image'), { statusCode: 404 }))
+        };
+        launcherImageMock = {
+            // The launcher image is there once it is pulled
+            inspect: sinon
+                .stub()
+                .callsFake(cb =>
+                    setImmediate(() =>
+                        dockerMock.createImage.calledWith(sinon.match({ fromImage: 'screwdrivercd/launcher' }))
+                            ? cb(null, { Id: launcherImageId })
+                            : cb(Object.assign(new Error('No such image'), { statusCode: 404 }))
+                    )
+                )
+        };
+        volumeMock = {
+            inspect: sinon.stub().yieldsAsync(Object.assign(new Error('No such volume'), { statusCode: 404 })),
+            remove: sinon.stub().yieldsAsync(null)
+        };
+        networkMock = {
+            connect: sinon.stub().yieldsAsync(null),
+            remove: sinon.stub().yieldsAsync(null)
         };
         dockerMock = {
             createContainer: sinon.stub().yieldsAsync(null, containerMock),
-            createImage: sinon.stub().yieldsAsync(null),
+            createImage: sinon.stub().yieldsAsync(null, {}),
             listContainers: sinon.stub().yieldsAsync(null, [containerShellMock]),
-            getContainer: sinon.stub().returns(containerMock)
+            getContainer: sinon.stub().returns(containerMock),
+            getImage: sinon.stub().returns(imageMock),
+            getVolume: sinon.stub().returns(volumeMock),
+            listVolumes: sinon.stub().yieldsAsync(null, { Volumes: [] }),
+            createNetwork: sinon.stub().yieldsAsync(null, networkMock),
+            listNetworks: sinon.stub().yieldsAsync(null, []),
+            getNetwork: sinon.stub().returns(networkMock),
+            modem: {
+                followProgress: sinon.stub().yieldsAsync(null, [{ status: 'Pull complete' }])
+            }
         };
+        dockerMock.getImage.withArgs('screwdrivercd/launcher:stable').returns(launcherImageMock);
         dockerodeMock = sinon.stub().returns(dockerMock);
 
         mockery.registerMock('dockerode', dockerodeMock);
@@ -118,18 +185,38 @@ describe('index', function () {
             launcherContainer = {
                 id: 'launcherID',
                 start: sinon.stub().yieldsAsync(new Error()),
-                remove: sinon.stub().yieldsAsync(new Error())
+                remove: sinon.stub().yieldsAsync(null)
             };
             launcherArgs = {
-                name: `${buildId}-init`,
-                Image: 'screwdrivercd/launcher:stable',
+                name: `${launcherVolume}-init`,
+                Image: launcherImageId,
                 Entrypoint: '/bin/true',
                 Labels: {
-                    sdbuild: buildId.toString()
+                    sdlauncher: '',
+                    sdlauncherversion: 'stable',
+                    sdlauncherimage: launcherImageId
+                },
+                HostConfig: {
+                    Mounts: [
+                        {
+                            Type: 'volume',
+                            Source: launcherVolume,
+                            Target: '/opt/sd',
+                            VolumeOptions: {
+                                NoCopy: false,
+                                Labels: {
+                                    sdlauncher: '',
+                                    sdlauncherversion: 'stable',
+                                    sdlauncherimage: launcherImageId
+                                }
+                            }
+                        }
+                    ]
                 }
             };
             buildContainer = {
                 id: 'buildID',
+                putArchive: sinon.stub().yieldsAsync(null),
                 start: sinon.stub().yieldsAsync(null),
                 remove: sinon.stub().yieldsAsync(new Error())
             };
@@ -138,15 +225,25 @@ describe('index', function () {
                 Image: container,
                 Entrypoint: '/opt/sd/launcher_entrypoint.sh',
                 Labels: {
-                    sdbuild: buildId.toString()
+                    sdbuild: buildId.toString(),
+                    sdtimeout: '90',
+                    sdcpu: '2',
+                    sdram: '2',
+                    sdstarted: sinon.match.string,
+                    sdlaunchversion: 'stable',
+                    sdexecutor: 'executor',
+                    sdapi: apiUri
                 },
-                Cmd: [['/opt/sd/run.sh', `"${token}"`, 'api', 'store', '90', buildId, 'ui'].join(' ')],
+                Cmd: [`/opt/sd/run.sh "$(cat /run/sd/token)" 'api' 'store' '90' '${buildId}' 'ui'`],
                 HostConfig: {
+                    NanoCpus: 2 * 1000 * 1000 * 1000,
                     Memory: 2 * 1024 * 1024 * 1024,
-                    MemoryLimit: 3 * 1024 * 1024 * 1024,
-                    VolumesFrom: ['launcherID:rw'],
-                    Privileged: true,
-                    Binds: ['/var/run/docker.sock:/var/run/docker.sock']
+                    MemorySwap: 3 * 1024 * 1024 * 1024,
+                    Mounts: [
+                        { Type: 'volume', Source: launcherVolume, Target: '/opt/sd', ReadOnly: true },
+                        { Type: 'volume', Target: '/run/sd' }
+                    ],
+                    NetworkMode: `${buildId}-network`
                 }
             };
         });
@@ -179,13 +276,89 @@ describe('index', function () {
                 });
         });
 
+        it('copies the token into the build container instead of its metadata', () => {
+            const jwt = `header.it's"a$(secret).signature`;
+            let archive = '';
+
+            buildContainer.putArchive = sinon.stub().callsFake((tarball, options, cb) => {
+                tarball.on('data', chunk => {
+                    archive += chunk;
+                });
+                tarball.on('end', () => cb(null));
+            });
+            dockerMock.createContainer
+                .withArgs(sinon.match({ name: `${buildId}-build` }))
+                .yieldsAsync(null, buildContainer);
+
+            return executor.start({ buildId, container, apiUri, token: jwt }).then(() => {
+                assert.calledWith(buildContainer.putArchive, sinon.match.any, { path: '/run/sd' });
+                assert.include(archive, 'token');
+                assert.include(archive, jwt);
+                assert.isTrue(buildContainer.putArchive.calledBefore(buildContainer.start));
+                assert.notInclude(JSON.stringify(dockerMock.createContainer.args), jwt);
+                assert.notInclude(JSON.stringify(dockerMock.createNetwork.args), jwt);
+            });
+        });
+
+        it('labels the build container with the build it runs', () => {
+            executor = new Executor({
+                ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                instanceId: 'executor-1'
+            });
+
+            return executor
+                .start({
+                    buildId,
+                    container,
+                    apiUri,
+                    token,
+                    pipeline: { id: 12, scmContext: 'github:github.com' },
+                    jobId: 34,
+                    eventId: 56
+                })
+                .then(() => {
+                    const { Labels } = dockerMock.createContainer.args.find(
+                        ([options]) => options.name === `${buildId}-build`
+                    )[0];
+
+                    assert.deepInclude(Labels, {
+                        sdbuild: `${buildId}`,
+                        sdtimeout: '90',
+                        sdlaunchversion: 'stable',
+                        sdexecutor: 'executor-1',
+                        sdpipeline: '12',
+                        sdjob: '34',
+                        sdevent: '56'
+                    });
+                    assert.closeTo(Date.parse(Labels.sdstarted), Date.now(), 5000);
+                });
+        });
+
+        it('quotes the arguments of the launcher', () => {
+            executor = new Executor({
+                ecosystem: { api: "https://api.sd.cd/it's", ui: 'ui', store: 'store' }
+            });
+
+            return executor.start({ buildId, container, apiUri, token }).then(() => {
+                assert.calledWith(
+                    dockerMock.createContainer,
+                    sinon.match({
+                        Cmd: [
+                            `/opt/sd/run.sh "$(cat /run/sd/token)" 'https://api.sd.cd/it'\\''s' 'store' '90' '${buildId}' 'ui'`
+                        ]
+                    })
+                );
+            });
+        });
+
         it('creates the containers with correct args from build config', () => {
             const buildImageArgs = {
                 fromImage: 'node',
                 tag: '6'
             };
 
-            buildArgs.Cmd = [['/opt/sd/run.sh', `"${token}"`, 'api', 'store', 5, buildId, 'ui'].join(' ')];
+            buildArgs.Cmd = [`/opt/sd/run.sh "$(cat /run/sd/token)" 'api' 'store' '5' '${buildId}' 'ui'`];
+            buildArgs.Labels.sdtimeout = '5';
 
             dockerMock.createContainer.yieldsAsync(new Error('bad container args'));
             dockerMock.createContainer.withArgs(launcherArgs).yieldsAsync(null, launcherContainer);
@@ -212,6 +385,128 @@ describe('index', function () {
                 });
         });
 
+        it('sets build container resources from the cpu and ram annotations', () => {
+            buildArgs.HostConfig.NanoCpus = 6 * 1000 * 1000 * 1000;
+            buildArgs.HostConfig.Memory = 1 * 1024 * 1024 * 1024;
+            buildArgs.HostConfig.MemorySwap = 2 * 1024 * 1024 * 1024;
+            buildArgs.Labels.sdcpu = '6';
+            buildArgs.Labels.sdram = '1';
+
+            dockerMock.createContainer.yieldsAsync(new Error('bad container args'));
+            dockerMock.createContainer.withArgs(launcherArgs).yieldsAsync(null, launcherContainer);
+            dockerMock.createContainer.withArgs(buildArgs).yieldsAsync(null, buildContainer);
+
+            return executor
+                .start({
+                    buildId,
+                    container,
+                    apiUri,
+                    token,
+                    annotations: {
+                        'screwdriver.cd/cpu': 'HIGH',
+                        'screwdriver.cd/ram': 'MICRO'
+                    }
+                })
+                .then(() => {
+                    assert.calledWith(dockerMock.createContainer, buildArgs);
+                    assert.callCount(buildContainer.start, 1);
+                });
+        });
+
+        it('supports custom resource values and configured tiers', () => {
+            buildArgs.HostConfig.NanoCpus = 1.5 * 1000 * 1000 * 1000;
+            buildArgs.HostConfig.Memory = 8 * 1024 * 1024 * 1024;
+            buildArgs.HostConfig.MemorySwap = 8 * 1024 * 1024 * 1024;
+            buildArgs.Labels.sdcpu = '1.5';
+            buildArgs.Labels.sdram = '8';
+
+            dockerMock.createContainer.yieldsAsync(new Error('bad container args'));
+            dockerMock.createContainer.withArgs(launcherArgs).yieldsAsync(null, launcherContainer);
+            dockerMock.createContainer.withArgs(buildArgs).yieldsAsync(null, buildContainer);
+
+            executor = new Executor({
+                ecosystem: {
+                    api: 'api',
+                    ui: 'ui',
+                    store: 'store'
+                },
+                resources: {
+                    cpu: { max: 4 },
+                    memory: { default: 'HIGH', high: 8, swap: 0 }
+                }
+            });
+
+            return executor
+                .start({
+                    buildId,
+                    container,
+                    apiUri,
+                    token,
+                    annotations: {
+                        'screwdriver.cd/cpu': 1.5
+                    }
+                })
+                .then(() => {
+                    assert.calledWith(dockerMock.createContainer, buildArgs);
+                    assert.callCount(buildContainer.start, 1);
+                });
+        });
+
+        it('rejects out of range resource values', () =>
+            executor
+                .start({
+                    buildId,
+                    container,
+                    apiUri,
+                    token,
+                    annotations: {
+                        'screwdriver.cd/ram': 64
+                    }
+                })
+                .then(() => {
+                    throw new Error('should not have gotten here');
+                })
+                .catch(error => {
+                    assert.match(error.message, /^Invalid ram value "64"/);
+                    assert.notCalled(dockerMock.createImage);
+                    assert.notCalled(dockerMock.createContainer);
+                }));
+
+        it('rejects unknown resource tiers', () =>
+            executor
+                .start({
+                    buildId,
+                    container,
+                    apiUri,
+                    token,
+                    annotations: {
+                        'screwdriver.cd/cpu': 'HUGE'
+                    }
+                })
+                .then(() => {
+                    throw new Error('should not have gotten here');
+                })
+                .catch(error => {
+                    assert.match(error.message, /^Invalid cpu value "HUGE"/);
+                    assert.notCalled(dockerMock.createContainer);
+                }));
+
+        it('rejects invalid termination grace periods', () =>
+            executor
+                .start({
+                    buildId,
+                    container,
+                    apiUri,
+                    token,
+                    annotations: { 'screwdriver.cd/terminationGracePeriod': '-1' }
+                })
+                .then(() => {
+                    throw new Error('should not have gotten here');
+                })
+                .catch(error => {
+                    assert.equal(error.message, 'Invalid termination grace period "-1": must be a number of seconds');
+                }));
+
         it('supports prefixed containers', () => {
             const prefix = 'beta_';
             const buildImageArgs = {
@@ -220,11 +515,30 @@ describe('index', function () {
             };
 
             launcherArgs = {
-                name: `${prefix}${buildId}-init`,
-                Image: 'screwdrivercd/launcher:stable',
+                name: `${prefix}${launcherVolume}-init`,
+                Image: launcherImageId,
                 Entrypoint: '/bin/true',
                 Labels: {
-                    sdbuild: `${prefix}${buildId}`
+                    sdlauncher: prefix,
+                    sdlauncherversion: 'stable',
+                    sdlauncherimage: launcherImageId
+                },
+                HostConfig: {
+                    Mounts: [
+                        {
+                            Type: 'volume',
+                            Source: `${prefix}${launcherVolume}`,
+                            Target: '/opt/sd',
+                            VolumeOptions: {
+                                NoCopy: false,
+                                Labels: {
+                                    sdlauncher: prefix,
+                                    sdlauncherversion: 'stable',
+                                    sdlauncherimage: launcherImageId
+                                }
+                            }
+                        }
+                    ]
                 }
             };
             buildArgs = {
@@ -232,15 +546,25 @@ describe('index', function () {
                 Image: container,
                 Entrypoint: '/opt/sd/launcher_entrypoint.sh',
                 Labels: {
-                    sdbuild: `${prefix}${buildId}`
+                    sdbuild: `${prefix}${buildId}`,
+                    sdtimeout: '90',
+                    sdcpu: '2',
+                    sdram: '2',
+                    sdstarted: sinon.match.string,
+                    sdlaunchversion: 'stable',
+                    sdexecutor: `${prefix}executor`,
+                    sdapi: apiUri
                 },
-                Cmd: [['/opt/sd/run.sh', `"${token}"`, 'api', 'store', '90', buildId, 'ui'].join(' ')],
+                Cmd: [`/opt/sd/run.sh "$(cat /run/sd/token)" 'api' 'store' '90' '${buildId}' 'ui'`],
                 HostConfig: {
+                    NanoCpus: 2 * 1000 * 1000 * 1000,
                     Memory: 2 * 1024 * 1024 * 1024,
-                    MemoryLimit: 3 * 1024 * 1024 * 1024,
-                    VolumesFrom: ['launcherID:rw'],
-                    Privileged: true,
-                    Binds: ['/var/run/docker.sock:/var/run/docker.sock']
+                    MemorySwap: 3 * 1024 * 1024 * 1024,
+                    Mounts: [
+                        { Type: 'volume', Source: `${prefix}${launcherVolume}`, Target: '/opt/sd', ReadOnly: true },
+                        { Type: 'volume', Target: '/run/sd' }
+                    ],
+                    NetworkMode: `${prefix}${buildId}-network`
                 }
             };
 
@@ -368,136 +692,3139 @@ describe('index', function () {
                 });
         });
 
-        it('bubbles create problems back', () => {
-            dockerMock.createContainer.yieldsAsync(new Error('Unable to create container'));
+        describe('registry authentication', () => {
+            const privateContainer = 'docker-registry.foo.bar:1111/someImage:latest';
+            const privateImageArgs = {
+                fromImage: 'docker-registry.foo.bar:1111/someImage',
+                tag: 'latest'
+            };
+            let tmpDir;
+            let dockerConfig;
+            let originalPath;
 
-            return executor
-                .start({
-                    buildId,
-                    container,
-                    apiUri,
-                    token
-                })
-                .then(() => {
-                    throw new Error('should not have gotten here');
-                })
-                .catch(error => {
-                    assert.equal(error.message, 'Unable to create container');
-                });
-        });
+            beforeEach(() => {
+                tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'executor-docker-'));
+                dockerConfig = path.join(tmpDir, 'config.json');
+                originalPath = process.env.PATH;
+            });
 
-        it('bubbles start problems back', () => {
-            containerMock.start.yieldsAsync(new Error('Unable to start container'));
+            afterEach(() => {
+                process.env.PATH = originalPath;
+                fs.rmSync(tmpDir, { recursive: true, force: true });
+            });
 
-            return executor
-                .start({
-                    buildId,
-                    container,
-                    apiUri,
-                    token
-                })
-                .then(() => {
-                    throw new Error('should not have gotten here');
-                })
-                .catch(error => {
-                    assert.equal(error.message, 'Unable to start container');
+            it('uses credentials configured for the registry', () => {
+                executor = new Executor({
+                    ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                    registries: {
+                        'docker-registry.foo.bar:1111': { username: 'batman', password: 'robin' },
+                        'docker.io': { identitytoken: 'hub-token' }
+                    }
                 });
-        });
-    });
 
-    describe('stop', () => {
-        const buildId = 1992;
-        const apiUri = 'https://api.sd.cd';
+                return executor.start({ buildId, container: privateContainer, apiUri, token }).then(() => {
+                    assert.calledWith(dockerMock.createImage, {
+                        ...privateImageArgs,
+                        authconfig: {
+                            serveraddress: 'docker-registry.foo.bar:1111',
+                            username: 'batman',
+                            password: 'robin'
+                        }
+                    });
+                    assert.calledWith(dockerMock.createImage, {
+                        ...launcherImageArgs,
+                        authconfig: {
+                            serveraddress: 'https://index.docker.io/v1/',
+                            identitytoken: 'hub-token'
+                        }
+                    });
+                });
+            });
 
-        it('finds and removes the containers', () => {
-            const findArgs = {
-                filters: `{"label":["sdbuild=${buildId}"]}`,
-                all: true
-            };
-            const removeArgs = {
-                v: true,
-                force: true
-            };
+            it('uses auths from a docker config', () => {
+                fs.writeFileSync(
+                    dockerConfig,
+                    JSON.stringify({
+                        auths: {
+                            'https://docker-registry.foo.bar:1111': {
+                                auth: Buffer.from('batman:rob:in').toString('base64')
+                            }
+                        }
+                    })
+                );
+                executor = new Executor({
+                    ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                    dockerConfig
+                });
 
-            dockerMock.listContainers.yieldsAsync(new Error('bad container args'));
-            dockerMock.listContainers.withArgs(findArgs).yieldsAsync(null, [containerShellMock, containerShellMock]);
+                return executor.start({ buildId, container: privateContainer, apiUri, token }).then(() => {
+                    assert.calledWith(dockerMock.createImage, {
+                        ...privateImageArgs,
+                        authconfig: {
+                            username: 'batman',
+                            password: 'rob:in',
+                            serveraddress: 'docker-registry.foo.bar:1111'
+                        }
+                    });
+                    assert.calledWith(dockerMock.createImage, launcherImageArgs);
+                });
+            });
 
-            return executor
-                .stop({
-                    apiUri,
-                    buildId
-                })
-                .then(() => {
-                    assert.calledWith(dockerMock.listContainers, findArgs);
-                    assert.calledWith(containerMock.remove, removeArgs);
-                    assert.callCount(containerMock.remove, 2);
+            it('uses credential helpers from a docker config', () => {
+                const helper = path.join(tmpDir, 'docker-credential-sdtest');
+
+                fs.writeFileSync(
+                    helper,
+                    '#!/bin/sh\nread registry\necho "{\\"Username\\":\\"<token>\\",\\"Secret\\":\\"$registry\\"}"\n',
+                    { mode: 0o755 }
+                );
+                fs.writeFileSync(
+                    dockerConfig,
+                    JSON.stringify({
+                        credHelpers: {
+                            'docker-registry.foo.bar:1111': 'sdtest'
+                        }
+                    })
+                );
+                process.env.PATH = `${tmpDir}${path.delimiter}${originalPath}`;
+                executor = new Executor({
+                    ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                    dockerConfig
                 });
-        });
 
-        it('supports prefixes', () => {
-            const prefix = 'beta_';
-            const findArgs = {
-                filters: `{"label":["sdbuild=${prefix}${buildId}"]}`,
-                all: true
-            };
-            const removeArgs = {
-                v: true,
-                force: true
-            };
+                return executor.start({ buildId, container: privateContainer, apiUri, token }).then(() => {
+                    assert.calledWith(dockerMock.createImage, {
+                        ...privateImageArgs,
+                        authconfig: {
+                            identitytoken: 'docker-registry.foo.bar:1111',
+                            serveraddress: 'docker-registry.foo.bar:1111'
+                        }
+                    });
+                });
+            });
 
-            dockerMock.listContainers.yieldsAsync(new Error('bad container args'));
-            dockerMock.listContainers.withArgs(findArgs).yieldsAsync(null, [containerShellMock, containerShellMock]);
+            it('pulls anonymously when the credential helper has no credentials', () => {
+                fs.writeFileSync(
+                    path.join(tmpDir, 'docker-credential-sdtest'),
+                    '#!/bin/sh\necho "credentials not found in native keychain"\nexit 1\n',
+                    { mode: 0o755 }
+                );
+                fs.writeFileSync(dockerConfig, JSON.stringify({ credsStore: 'sdtest' }));
+                process.env.PATH = `${tmpDir}${path.delimiter}${originalPath}`;
+                executor = new Executor({
+                    ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                    dockerConfig
+                });
 
-            executor = new Executor({
-                prefix,
-                ecosystem: {
-                    api: 'api',
-                    ui: 'ui',
-                    store: 'store'
-                }
+                return executor.start({ buildId, container: privateContainer, apiUri, token }).then(() => {
+                    assert.calledWith(dockerMock.createImage, privateImageArgs);
+                    assert.calledWith(dockerMock.createImage, launcherImageArgs);
+                });
             });
 
-            return executor
-                .stop({
-                    apiUri,
-                    buildId
-                })
-                .then(() => {
-                    assert.calledWith(dockerMock.listContainers, findArgs);
-                    assert.calledWith(containerMock.remove, removeArgs);
-                    assert.callCount(containerMock.remove, 2);
+            it('gives up on credential helpers that hang', () => {
+                fs.writeFileSync(path.join(tmpDir, 'docker-credential-sdtest'), '#!/bin/sh\nsleep 10\n', {
+                    mode: 0o755
+                });
+                fs.writeFileSync(dockerConfig, JSON.stringify({ credsStore: 'sdtest' }));
+                process.env.PATH = `${tmpDir}${path.delimiter}${originalPath}`;
+                executor = new Executor({
+                    ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                    dockerConfig,
+                    credentialHelperTimeout: 100
                 });
-        });
 
-        it('bubbles list problems back', () => {
-            dockerMock.listContainers.yieldsAsync(new Error('Unable to list containers'));
+                return executor
+                    .start({ buildId, container: privateContainer, apiUri, token })
+                    .then(() => {
+                        throw new Error('should not have gotten here');
+                    })
+                    .catch(error => {
+                        assert.match(error.message, /^Credential helper sdtest timed out after 100ms/);
+                        assert.neverCalledWith(dockerMock.createImage, sinon.match(privateImageArgs));
+                    });
+            });
 
-            return executor
-                .stop({
-                    apiUri,
-                    buildId
-                })
-                .then(() => {
-                    throw new Error('should not have gotten here');
-                })
-                .catch(error => {
-                    assert.equal(error.message, 'Unable to list containers');
+            it('bubbles credential helper problems back', () => {
+                fs.writeFileSync(
+                    dockerConfig,
+                    JSON.stringify({
+                        credHelpers: {
+                            'docker-registry.foo.bar:1111': 'missing'
+                        }
+                    })
+                );
+                executor = new Executor({
+                    ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                    dockerConfig
                 });
+
+                return executor
+                    .start({ buildId, container: privateContainer, apiUri, token })
+                    .then(() => {
+                        throw new Error('should not have gotten here');
+                    })
+                    .catch(error => {
+                        assert.match(
+                            error.message,
+                            /^Credential helper missing failed for docker-registry.foo.bar:1111/
+                        );
+                        assert.neverCalledWith(dockerMock.createImage, sinon.match(privateImageArgs));
+                    });
+            });
         });
 
-        it('bubbles remove problems back', () => {
-            containerMock.remove.yieldsAsync(new Error('Unable to remove container'));
+        describe('image pull policy', () => {
+            const buildImageArgs = {
+                fromImage: 'node',
+                tag: '6'
+            };
 
-            return executor
-                .stop({
-                    apiUri,
-                    buildId
-                })
+            it('does not pull images that are present with IfNotPresent', () => {
+                const buildImageMock = { inspect: sinon.stub().yieldsAsync(null, { Id: 'sha256:abc' }) };
+
+                dockerMock.getImage.withArgs('node:6').returns(buildImageMock);
+
+                return executor
+                    .start({
+                        buildId,
+                        container: 'node:6',
+                        apiUri,
+                        token,
+                        annotations: {
+                            'screwdriver.cd/imagePullPolicy': 'IfNotPresent'
+                        }
+                    })
+                    .then(() => {
+                        assert.calledWith(dockerMock.getImage, 'screwdrivercd/launcher:stable');
+                        assert.calledWith(dockerMock.getImage, 'node:6');
+                        assert.calledWith(dockerMock.createImage, launcherImageArgs);
+                        assert.neverCalledWith(dockerMock.createImage, buildImageArgs);
+                        assert.callCount(containerMock.start, 1);
+                    });
+            });
+
+            it('supports setting the policy for the executor', () => {
+                executor = new Executor({
+                    ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                    imagePullPolicy: 'IfNotPresent'
+                });
+
+                return executor.start({ buildId, container: 'node:6', apiUri, token }).then(() => {
+                    // Both images are looked up before the pull, the launcher again for its ID
+                    assert.callCount(dockerMock.getImage, 3);
+                    assert.callCount(dockerMock.createImage, 2);
+                });
+            });
+
+            it('fails when images are missing with Never', () =>
+                executor
+                    .start({
+                        buildId,
+                        container: 'node:6',
+                        apiUri,
+                        token,
+                        annotations: {
+                            'screwdriver.cd/imagePullPolicy': 'Never'
+                        }
+                    })
+                    .then(() => {
+                        throw new Error('should not have gotten here');
+                    })
+                    .catch(error => {
+                        assert.match(error.message, /is not present and the image pull policy is Never$/);
+                        assert.notCalled(dockerMock.createImage);
+                        assert.notCalled(dockerMock.createContainer);
+                    }));
+
+            it('rejects unknown policies', () =>
+                executor
+                    .start({
+                        buildId,
+                        container: 'node:6',
+                        apiUri,
+                        token,
+                        annotations: {
+                            'screwdriver.cd/imagePullPolicy': 'Sometimes'
+                        }
+                    })
+                    .then(() => {
+                        throw new Error('should not have gotten here');
+                    })
+                    .catch(error => {
+                        assert.equal(error.message, 'Invalid image pull policy "Sometimes"');
+                    }));
+
+            it('shares pulls of the same image between concurrent builds', () =>
+                Promise.all([
+                    executor.start({ buildId, container: 'node:6', apiUri, token }),
+                    executor.start({ buildId: buildId + 1, container: 'node:6', apiUri, token })
+                ]).then(() => {
+                    assert.callCount(dockerMock.createImage, 2);
+                    assert.callCount(containerMock.start, 2);
+                    assert.equal(executor.hosts[0].pulls.size, 0);
+                }));
+        });
+
+        describe('image pulls', () => {
+            it('waits for pulls to finish and reports progress', () => {
+                const onPullProgress = sinon.stub();
+                const pullStream = {};
+
+                dockerMock.createImage.yieldsAsync(null, pullStream);
+                dockerMock.modem.followProgress = sinon.stub().callsFake((stream, onFinished, onProgress) => {
+                    assert.strictEqual(stream, pullStream);
+                    assert.notCalled(dockerMock.createContainer);
+                    onProgress({ status: 'Downloading' });
+                    setImmediate(() => onFinished(null, [{ status: 'Downloading' }]));
+                });
+                executor = new Executor({
+                    ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                    onPullProgress
+                });
+
+                return executor.start({ buildId, container: 'node:6', apiUri, token }).then(() => {
+                    assert.callCount(dockerMock.modem.followProgress, 2);
+                    assert.calledWith(onPullProgress, 'node:6', { status: 'Downloading' });
+                    assert.calledWith(onPullProgress, 'screwdrivercd/launcher:stable', { status: 'Downloading' });
+                    assert.callCount(containerMock.start, 1);
+                });
+            });
+
+            it('rejects with the registry error of a failed pull', () => {
+                dockerMock.modem.followProgress = sinon
+                    .stub()
+                    .callsFake((stream, onFinished) =>
+                        setImmediate(() =>
+                            onFinished(
+                                null,
+                                stream.failing
+                                    ? [{ error: 'manifest unknown', errorDetail: { message: 'manifest unknown' } }]
+                                    : [{ status: 'Pull complete' }]
+                            )
+                        )
+                    );
+                dockerMock.createImage
+                    .withArgs(sinon.match({ fromImage: 'docker-registry.foo.bar:1111/someImage' }))
+                    .yieldsAsync(null, { failing: true });
+
+                return executor
+                    .start({ buildId, container: 'docker-registry.foo.bar:1111/someImage:1.0', apiUri, token })
+                    .then(() => {
+                        throw new Error('should not have gotten here');
+                    })
+                    .catch(error => {
+                        assert.equal(
+                            error.message,
+                            'Failed to pull image docker-registry.foo.bar:1111/someImage:1.0 from ' +
+                                'docker-registry.foo.bar:1111: manifest unknown'
+                        );
+                        assert.equal(error.image, 'docker-registry.foo.bar:1111/someImage:1.0');
+                        assert.equal(error.registry, 'docker-registry.foo.bar:1111');
+                        assert.equal(error.reason, 'manifest unknown');
+                        assert.notCalled(dockerMock.createContainer);
+                    });
+            });
+
+            it('times out pulls that take too long', () => {
+                const pullStream = { destroy: sinon.stub() };
+
+                dockerMock.createImage.yieldsAsync(null, pullStream);
+                dockerMock.modem.followProgress = sinon.stub();
+                executor = new Executor({
+                    ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                    pullTimeout: 10
+                });
+
+                return executor
+                    .start({ buildId, container: 'node:6', apiUri, token })
+                    .then(() => {
+                        throw new Error('should not have gotten here');
+                    })
+                    .catch(error => {
+                        assert.match(error.message, /^Failed to pull image .* from docker.io: timed out after 10ms$/);
+                        assert.called(pullStream.destroy);
+                        assert.notCalled(dockerMock.createContainer);
+                    });
+            });
+        });
+
+        describe('docker access', () => {
+            const pipeline = { id: 12, scmContext: 'github:github.com' };
+
+            beforeEach(() => {
+                buildArgs.Labels.sdpipeline = '12';
+            });
+
+            it('does not give builds docker by default', () =>
+                executor
+                    .start({
+                        buildId,
+                        container,
+                        apiUri,
+                        token,
+                        pipeline,
+                        annotations: { 'screwdriver.cd/dockerEnabled': true }
+                    })
+                    .then(() => {
+                        assert.calledWith(dockerMock.createContainer, buildArgs);
+                        assert.neverCalledWith(dockerMock.createContainer, sinon.match({ name: `${buildId}-dind` }));
+                    }));
+
+            it('mounts the docker socket for allow-listed pipelines', () => {
+                executor = new Executor({
+                    ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                    dockerAccess: { pipelines: [12] }
+                });
+                buildArgs.HostConfig.Privileged = true;
+                buildArgs.HostConfig.Binds = ['/var/run/docker.sock:/var/run/docker.sock'];
+
+                return executor.start({ buildId, container, apiUri, token, pipeline }).then(() => {
+                    assert.calledWith(dockerMock.createContainer, buildArgs);
+                });
+            });
+
+            it('honours the dockerEnabled annotation when allowed', () => {
+                executor = new Executor({
+                    ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                    dockerAccess: { annotation: true, pipelines: [13] }
+                });
+                buildArgs.HostConfig.Privileged = true;
+                buildArgs.HostConfig.Binds = ['/var/run/docker.sock:/var/run/docker.sock'];
+
+                return executor
+                    .start({
+                        buildId,
+                        container,
+                        apiUri,
+                        token,
+                        pipeline,
+                        annotations: { 'screwdriver.cd/dockerEnabled': 'true' }
+                    })
+                    .then(() => {
+                        assert.calledWith(dockerMock.createContainer, buildArgs);
+                    });
+            });
+
+            it('starts a Docker-in-Docker sidecar on a build network', () => {
+                const dindContainer = { id: 'dindID', start: sinon.stub().yieldsAsync(null) };
+
+                executor = new Executor({
+                    ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                    dockerAccess: { pipelines: [12], mode: 'dind', dindImage: 'docker:24-dind' }
+                });
+                dockerMock.createContainer
+                    .withArgs(sinon.match({ name: `${buildId}-dind` }))
+                    .yieldsAsync(null, dindContainer);
+                buildArgs.Env = ['DOCKER_HOST=tcp://docker:2375'];
+
+                return executor.start({ buildId, container, apiUri, token, pipeline }).then(() => {
+                    assert.calledWith(dockerMock.createImage, { fromImage: 'docker', tag: '24-dind' });
+                    assert.calledWith(dockerMock.createNetwork, {
+                        Name: `${buildId}-network`,
+                        Driver: 'bridge',
+                        Internal: false,
+                        CheckDuplicate: true,
+                        Labels: { sdbuild: `${buildId}` }
+                    });
+                    assert.calledWith(dockerMock.createContainer, {
+                        name: `${buildId}-dind`,
+                        Image: 'docker:24-dind',
+                        Labels: { sdbuild: `${buildId}`, sdtimeout: '90' },
+                        Env: ['DOCKER_TLS_CERTDIR='],
+                        HostConfig: { Privileged: true, NetworkMode: `${buildId}-network` },
+                        NetworkingConfig: {
+                            EndpointsConfig: { [`${buildId}-network`]: { Aliases: ['docker'] } }
+                        }
+                    });
+                    assert.callCount(dindContainer.start, 1);
+                    assert.calledWith(dockerMock.createContainer, buildArgs);
+                });
+            });
+
+            it('rejects unknown modes', () => {
+                assert.throws(
+                    () =>
+                        new Executor({
+                            ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                            dockerAccess: { mode: 'root' }
+                        }),
+                    'Invalid docker access mode "root"'
+                );
+            });
+        });
+
+        describe('security profiles', () => {
+            const ecosystem = { api: 'api', ui: 'ui', store: 'store' };
+            let seccompFile;
+
+            beforeEach(() => {
+                seccompFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sd-seccomp-')), 'seccomp.json');
+                fs.writeFileSync(seccompFile, '{\n    "defaultAction": "SCMP_ACT_ERRNO"\n}\n');
+                executor = new Executor({
+                    ecosystem,
+                    security: {
+                        default: 'restricted',
+                        allowed: ['builder'],
+                        profiles: {
+                            restricted: {
+                                capDrop: ['ALL'],
+                                seccomp: seccompFile,
+                                apparmor: 'sd-build',
+                                noNewPrivileges: true,
+                                user: '1000:1000',
+                                readOnlyRootfs: true,
+                                pidsLimit: 512
+                            },
+                            builder: {
+                                capDrop: ['ALL'],
+                                capAdd: ['CHOWN', 'SETUID', 'SETGID'],
+                                usernsMode: 'host',
+                                readOnlyRootfs: true,
+                                tmpfs: { '/sd': 'rw,exec,size=4g' }
+                            },
+                            admin: {}
+                        }
+                    }
+                });
+            });
+
+            afterEach(() => {
+                fs.rmSync(path.dirname(seccompFile), { recursive: true, force: true });
+            });
+
+            it('applies the default profile to the build container', () =>
+                executor.start({ buildId, container, apiUri, token }).then(() => {
+                    buildArgs.User = '1000:1000';
+                    Object.assign(buildArgs.HostConfig, {
+                        CapDrop: ['ALL'],
+                        SecurityOpt: [
+                            'seccomp={"defaultAction":"SCMP_ACT_ERRNO"}',
+                            'apparmor=sd-build',
+                            'no-new-privileges:true'
+                        ],
+                        ReadonlyRootfs: true,
+                        Tmpfs: { '/sd': 'rw,exec', '/tmp': 'rw,exec,nosuid' },
+                        PidsLimit: 512
+                    });
+
+                    assert.calledWith(dockerMock.createContainer, buildArgs);
+                }));
+
+            it('applies allowed profiles picked with the annotation', () =>
+                executor
+                    .start({
+                        buildId,
+                        container,
+                        apiUri,
+                        token,
+                        annotations: { 'screwdriver.cd/securityProfile': 'builder' }
+                    })
+                    .then(() => {
+                        Object.assign(buildArgs.HostConfig, {
+                            CapDrop: ['ALL'],
+                            CapAdd: ['CHOWN', 'SETUID', 'SETGID'],
+                            UsernsMode: 'host',
+                            ReadonlyRootfs: true,
+                            Tmpfs: { '/sd': 'rw,exec,size=4g' }
+                        });
+
+                        assert.calledWith(dockerMock.createContainer, buildArgs);
+                    }));
+
+            it('rejects profiles that are not allowed', () =>
+                executor
+                    .start({
+                        buildId,
+                        container,
+                        apiUri,
+                        token,
+                        annotations: { 'screwdriver.cd/securityProfile': 'admin' }
+                    })
+                    .then(() => {
+                        throw new Error('should not have gotten here');
+                    })
+                    .catch(error => {
+                        assert.equal(error.message, 'Security profile "admin" is not allowed');
+                        assert.notCalled(dockerMock.createContainer);
+                    }));
+
+            it('rejects unknown and unreadable profiles', () => {
+                assert.throws(
+                    () => new Executor({ ecosystem, security: { allowed: ['missing'] } }),
+                    'Unknown security profile "missing"'
+                );
+                assert.throws(
+                    () =>
+                        new Executor({
+                            ecosystem,
+                            security: { profiles: { default: { seccomp: `${seccompFile}.missing` } } }
+                        }),
+                    /^Invalid seccomp profile for security profile "default": ENOENT/
+                );
+                assert.throws(
+                    () => new Executor({ ecosystem, swarm: { enabled: true }, security: {} }),
+                    'Security profiles are not supported in swarm mode'
+                );
+            });
+        });
+
+        describe('network policies', () => {
+            const ecosystem = { api: 'api', ui: 'ui', store: 'store' };
+
+            beforeEach(() => {
+                executor = new Executor({
+                    ecosystem,
+                    network: {
+                        allowed: ['internal', 'egress', 'hosts'],
+                        profiles: {
+                            internal: { internal: true },
+                            hosts: {
+                                dns: ['10.0.0.53'],
+                                extraHosts: ['artifactory.internal:10.0.0.8']
+                            },
+                            egress: { egress: ['github.com', '.npmjs.org'] },
+                            open: {}
+                        },
+                        proxyImage: 'example/egress-proxy:1',
+                        proxyPort: 8080
+                    }
+                });
+            });
+
+            it('starts builds on a labelled network of their own', () =>
+                executor.start({ buildId, container, apiUri, token }).then(() => {
+                    assert.calledWith(dockerMock.createNetwork, {
+                        Name: `${buildId}-network`,
+                        Driver: 'bridge',
+                        Internal: false,
+                        CheckDuplicate: true,
+                        Labels: { sdbuild: `${buildId}` }
+                    });
+                    assert.neverCalledWith(dockerMock.createContainer, sinon.match({ name: `${buildId}-proxy` }));
+                    assert.calledWith(dockerMock.createContainer, buildArgs);
+                }));
+
+            it('supports custom DNS and hosts', () =>
+                executor
+                    .start({
+                        buildId,
+                        container,
+                        apiUri,
+                        token,
+                        annotations: { 'screwdriver.cd/network': 'hosts' }
+                    })
+                    .then(() => {
+                        buildArgs.HostConfig.Dns = ['10.0.0.53'];
+                        buildArgs.HostConfig.ExtraHosts = ['artifactory.internal:10.0.0.8'];
+
+                        assert.calledWith(dockerMock.createContainer, buildArgs);
+                    }));
+
+            it('lets builds out through a proxy with an egress allow-list', () => {
+                const proxyContainer = { id: 'proxyID', start: sinon.stub().yieldsAsync(null) };
+                const proxy = 'http://proxy:8080';
+                const noProxy = 'docker,proxy,localhost,127.0.0.1';
+
+                dockerMock.createContainer
+                    .withArgs(sinon.match({ name: `${buildId}-proxy` }))
+                    .yieldsAsync(null, proxyContainer);
+                buildArgs.Env = [
+                    `HTTP_PROXY=${proxy}`,
+                    `HTTPS_PROXY=${proxy}`,
+                    `NO_PROXY=${noProxy}`,
+                    `http_proxy=${proxy}`,
+                    `https_proxy=${proxy}`,
+                    `no_proxy=${noProxy}`
+                ];
+
+                return executor
+                    .start({
+                        buildId,
+                        container,
+                        apiUri,
+                        token,
+                        annotations: { 'screwdriver.cd/network': 'egress' }
+                    })
+                    .then(() => {
+                        assert.calledWith(dockerMock.createImage, { fromImage: 'example/egress-proxy', tag: '1' });
+                        assert.calledWith(dockerMock.createNetwork, {
+                            Name: `${buildId}-network`,
+                            Driver: 'bridge',
+                            Internal: true,
+                            CheckDuplicate: true,
+                            Labels: { sdbuild: `${buildId}` }
+                        });
+                        assert.calledWith(dockerMock.createContainer, {
+                            name: `${buildId}-proxy`,
+                            Image: 'example/egress-proxy:1',
+                            Labels: { sdbuild: `${buildId}`, sdtimeout: '90' },
+                            Env: ['ALLOWED_DOMAINS=api,store,github.com,.npmjs.org', 'PROXY_PORT=8080'],
+                            HostConfig: { NetworkMode: `${buildId}-network` },
+                            NetworkingConfig: {
+                                EndpointsConfig: { [`${buildId}-network`]: { Aliases: ['proxy'] } }
+                            }
+                        });
+                        assert.callCount(proxyContainer.start, 1);
+                        assert.calledWith(dockerMock.getNetwork, 'bridge');
+                        assert.calledWith(networkMock.connect, { Container: 'proxyID' });
+                        assert.calledWith(dockerMock.createContainer, buildArgs);
+                    });
+            });
+
+            it('rejects policies that are not allowed', () =>
+                executor
+                    .start({
+                        buildId,
+                        container,
+                        apiUri,
+                        token,
+                        annotations: { 'screwdriver.cd/network': 'open' }
+                    })
+                    .then(() => {
+                        throw new Error('should not have gotten here');
+                    })
+                    .catch(error => {
+                        assert.equal(error.message, 'Network policy "open" is not allowed');
+                        assert.notCalled(dockerMock.createNetwork);
+                    }));
+
+            it('always lets the launcher reach the Screwdriver API and store', () => {
+                executor = new Executor({
+                    ecosystem: { api: 'https://api.sd.cd', ui: 'ui', store: 'https://store.sd.cd:8443' },
+                    network: { profiles: { default: { egress: [] } }, proxyImage: 'example/egress-proxy:1' }
+                });
+
+                return executor.start({ buildId, container, apiUri, token }).then(() => {
+                    assert.calledWith(
+                        dockerMock.createContainer,
+                        sinon.match({
+                            name: `${buildId}-proxy`,
+                            Env: ['ALLOWED_DOMAINS=api.sd.cd,store.sd.cd', 'PROXY_PORT=3128']
+                        })
+                    );
+                });
+            });
+
+            it('keeps internal networks to the Screwdriver API and store', () =>
+                executor
+                    .start({
+                        buildId,
+                        container,
+                        apiUri,
+                        token,
+                        annotations: { 'screwdriver.cd/network': 'internal' }
+                    })
+                    .then(() => {
+                        assert.calledWith(dockerMock.createNetwork, sinon.match({ Internal: true }));
+                        assert.calledWith(
+                            dockerMock.createContainer,
+                            sinon.match({
+                                name: `${buildId}-proxy`,
+                                Env: ['ALLOWED_DOMAINS=api,store', 'PROXY_PORT=8080']
+                            })
+                        );
+                    }));
+
+            it('needs a proxy image for egress allow-lists', () => {
+                assert.throws(
+                    () => new Executor({ ecosystem, network: { profiles: { default: { egress: ['github.com'] } } } }),
+                    'Network policy "default" needs a network.proxyImage for its egress proxy'
+                );
+                assert.throws(
+                    () => new Executor({ ecosystem, network: { profiles: { default: { internal: true } } } }),
+                    'Network policy "default" needs a network.proxyImage for its egress proxy'
+                );
+                assert.throws(
+                    () => new Executor({ ecosystem, network: { default: 'missing' } }),
+                    'Unknown network policy "missing"'
+                );
+            });
+        });
+
+        describe('sidecars', () => {
+            let postgresContainer;
+            let redisContainer;
+
+            beforeEach(() => {
+                postgresContainer = {
+                    id: 'postgresID',
+                    start: sinon.stub().yieldsAsync(null),
+                    inspect: sinon.stub()
+                };
+                postgresContainer.inspect
+                    .onFirstCall()
+                    .yieldsAsync(null, { State: { Running: true, Health: { Status: 'starting' } } });
+                postgresContainer.inspect.yieldsAsync(null, {
+                    State: { Running: true, Health: { Status: 'healthy' } }
+                });
+                redisContainer = {
+                    id: 'redisID',
+                    start: sinon.stub().yieldsAsync(null),
+                    inspect: sinon.stub().yieldsAsync(null, { State: { Running: true } })
+                };
+                dockerMock.createContainer
+                    .withArgs(sinon.match({ name: `${buildId}-postgres` }))
+                    .yieldsAsync(null, postgresContainer);
+                dockerMock.createContainer
+                    .withArgs(sinon.match({ name: `${buildId}-redis` }))
+                    .yieldsAsync(null, redisContainer);
+            });
+
+            it('starts sidecars on the build network and waits for them to be healthy', () =>
+                executor
+                    .start({
+                        buildId,
+                        container,
+                        apiUri,
+                        token,
+                        annotations: {
+                            'screwdriver.cd/sidecars': JSON.stringify([
+                                {
+                                    name: 'postgres',
+                                    image: 'postgres:16',
+                                    env: { POSTGRES_PASSWORD: 'secret' },
+                                    healthCheck: { test: 'pg_isready', interval: 1, retries: 5 },
+                                    cpu: 1,
+                                    ram: 'LOW'
+                                },
+                                { name: 'redis', image: 'redis', command: ['redis-server', '--save', ''] }
+                            ])
+                        }
+                    })
+                    .then(() => {
+                        assert.calledWith(dockerMock.createImage, { fromImage: 'postgres', tag: '16' });
+                        assert.calledWith(dockerMock.createImage, { fromImage: 'redis', tag: 'latest' });
+                        assert.calledWith(dockerMock.createContainer, {
+                            name: `${buildId}-postgres`,
+                            Image: 'postgres:16',
+                            Labels: { sdbuild: `${buildId}`, sdtimeout: '90', sdcpu: '1', sdram: '2' },
+                            Env: ['POSTGRES_PASSWORD=secret'],
+                            Healthcheck: { Test: ['CMD-SHELL', 'pg_isready'], Interval: 1000000000, Retries: 5 },
+                            HostConfig: {
+                                NanoCpus: 1000 * 1000 * 1000,
+                                Memory: 2 * 1024 * 1024 * 1024,
+                                MemorySwap: 3 * 1024 * 1024 * 1024,
+                                NetworkMode: `${buildId}-network`
+                            },
+                            NetworkingConfig: {
+                                EndpointsConfig: { [`${buildId}-network`]: { Aliases: ['postgres'] } }
+                            }
+                        });
+                        assert.calledWith(
+                            dockerMock.createContainer,
+                            sinon.match({
+                                name: `${buildId}-redis`,
+                                Cmd: ['redis-server', '--save', ''],
+                                Labels: sinon.match({ sdcpu: '0.5', sdram: '1' }),
+                                HostConfig: sinon.match({ NanoCpus: 500 * 1000 * 1000, Memory: 1024 * 1024 * 1024 }),
+                                NetworkingConfig: {
+                                    EndpointsConfig: { [`${buildId}-network`]: { Aliases: ['redis'] } }
+                                }
+                            })
+                        );
+                        assert.callCount(postgresContainer.inspect, 2);
+                        assert.calledWith(dockerMock.createContainer, buildArgs);
+                        assert.callOrder(postgresContainer.inspect, dockerMock.createContainer.withArgs(buildArgs));
+                    }));
+
+            it('runs sidecars under their own security profile', () => {
+                const sidecarOptions = () =>
+                    dockerMock.createContainer.args.find(([args]) => args.name === `${buildId}-redis`)[0];
+                const resources = {
+                    NanoCpus: 500 * 1000 * 1000,
+                    Memory: 1024 * 1024 * 1024,
+                    MemorySwap: 2 * 1024 * 1024 * 1024,
+                    NetworkMode: `${buildId}-network`
+                };
+                const profiles = {
+                    default: { capDrop: ['ALL'], user: '1000', readOnlyRootfs: true },
+                    services: { capDrop: ['NET_RAW'], pidsLimit: 256 }
+                };
+
+                executor = new Executor({
+                    ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                    security: { profiles }
+                });
+
+                return executor
+                    .start({ buildId, container, apiUri, token, sidecars: [{ name: 'redis', image: 'redis' }] })
+                    .then(() => {
+                        assert.notProperty(sidecarOptions(), 'User');
+                        assert.deepEqual(sidecarOptions().HostConfig, resources);
+
+                        dockerMock.createContainer.resetHistory();
+                        executor = new Executor({
+                            ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                            security: { profiles, sidecarProfile: 'services' }
+                        });
+
+                        return executor.start({
+                            buildId,
+                            container,
+                            apiUri,
+                            token,
+                            sidecars: [{ name: 'redis', image: 'redis' }]
+                        });
+                    })
+                    .then(() => {
+                        assert.deepEqual(sidecarOptions().HostConfig, {
+                            CapDrop: ['NET_RAW'],
+                            PidsLimit: 256,
+                            ...resources
+                        });
+                        assert.throws(
+                            () =>
+                                new Executor({
+                                    ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                                    security: { sidecarProfile: 'missing' }
+                                }),
+                            'Unknown security profile "missing"'
+                        );
+                    });
+            });
+
+            it('rejects sidecars with more resources than builds can have', () =>
+                executor
+                    .start({
+                        buildId,
+                        container,
+                        apiUri,
+                        token,
+                        sidecars: [{ name: 'postgres', image: 'postgres:16', ram: 64 }]
+                    })
+                    .then(() => {
+                        throw new Error('should not have gotten here');
+                    })
+                    .catch(error => {
+                        assert.match(error.message, /^Invalid sidecar postgres ram value "64"/);
+                        assert.notCalled(dockerMock.createContainer);
+                    }));
+
+            it('does not start the build when a sidecar is unhealthy', () => {
+                postgresContainer.inspect = sinon
+                    .stub()
+                    .yieldsAsync(null, { State: { Running: true, Health: { Status: 'unhealthy' } } });
+
+                return executor
+                    .start({
+                        buildId,
+                        container,
+                        apiUri,
+                        token,
+                        sidecars: [
+                            { name: 'postgres', image: 'postgres:16', healthCheck: { test: ['CMD', 'pg_isready'] } }
+                        ]
+                    })
+                    .then(() => {
+                        throw new Error('should not have gotten here');
+                    })
+                    .catch(error => {
+                        assert.equal(error.message, 'Sidecar postgres is unhealthy');
+                        assert.neverCalledWith(dockerMock.createContainer, buildArgs);
+                    });
+            });
+
+            it('rejects invalid sidecars', () =>
+                Promise.all(
+                    [
+                        [[{ name: 'docker', image: 'docker' }], 'Invalid sidecar name "docker"'],
+                        [
+                            [
+                                { name: 'redis', image: 'redis' },
+                                { name: 'redis', image: 'redis:7' }
+                            ],
+                            'Duplicate sidecar name "redis"'
+                        ],
+                        [[{ name: 'redis' }], 'Sidecar redis has no image'],
+                        ['{"name":', 'Invalid sidecars: Unexpected end of JSON input']
+                    ].map(([sidecars, message]) =>
+                        executor
+                            .start({
+                                buildId,
+                                container,
+                                apiUri,
+                                token,
+                                annotations: { 'screwdriver.cd/sidecars': sidecars }
+                            })
+                            .then(() => {
+                                throw new Error('should not have gotten here');
+                            })
+                            .catch(error => {
+                                assert.equal(error.message, message);
+                            })
+                    )
+                ).then(() => {
+                    assert.notCalled(dockerMock.createContainer);
+                }));
+        });
+
+        describe('logs', () => {
+            const ecosystem = { api: 'api', ui: 'ui', store: 'store' };
+            let logsDir;
+            let output;
+
+            beforeEach(() => {
+                logsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sd-logs-'));
+                output = new PassThrough();
+                buildContainer.attach = sinon.stub().yieldsAsync(null, output);
+                dockerMock.createContainer.withArgs(buildArgs).yieldsAsync(null, buildContainer);
+                dockerMock.modem.demuxStream = sinon.stub().callsFake((stream, stdout, stderr) => {
+                    stream.on('data', chunk => (chunk.toString().startsWith('E') ? stderr : stdout).write(chunk));
+                });
+            });
+
+            afterEach(() => {
+                fs.rmSync(logsDir, { recursive: true, force: true });
+            });
+
+            it('keeps the output of the build container in the logs directory', () => {
+                const logFile = path.join(logsDir, `${buildId}.log`);
+
+                executor = new Executor({ ecosystem, logs: { dir: logsDir } });
+
+                return executor
+                    .start({ buildId, container, apiUri, token })
+                    .then(() => {
+                        assert.calledWith(buildContainer.attach, {
+                            stream: true,
+                            stdout: true,
+                            stderr: true,
+                            logs: true
+                        });
+                        assert.callOrder(buildContainer.attach, buildContainer.start);
+                        output.write('Launching build\n');
+                        output.end('Error: /bin/sh: not found\n');
+
+                        return waitFor(
+                            () => fs.existsSync(logFile) && fs.readFileSync(logFile, 'utf8').includes('not found')
+                        );
+                    })
+                    .then(() => executor.getLogs(buildId))
+                    .then(logs => {
+                        assert.equal(logs, 'Launching build\nError: /bin/sh: not found\n');
+                        assert.equal((fs.statSync(logFile).mode % 0o1000).toString(8), '600');
+                    });
+            });
+
+            it('pushes the output of the build container to the store', () => {
+                const requests = [];
+                const server = http.createServer((req, res) => {
+                    let body = '';
+
+                    req.on('data', chunk => {
+                        body += chunk;
+                    });
+                    req.on('end', () => {
+                        requests.push({
+                            method: req.method,
+                            url: req.url,
+                            authorization: req.headers.authorization,
+                            body
+                        });
+                        res.end();
+                    });
+                });
+
+                return new Promise(resolve => {
+                    server.listen(0, '127.0.0.1', resolve);
+                })
+                    .then(() => {
+                        const store = `http://127.0.0.1:${server.address().port}`;
+
+                        executor = new Executor({
+                            ecosystem: { ...ecosystem, store },
+                            logs: { store: true, maxBytes: 12 }
+                        });
+                        buildArgs.Cmd = [
+                            `/opt/sd/run.sh "$(cat /run/sd/token)" 'api' '${store}' '90' '${buildId}' 'ui'`
+                        ];
+                        dockerMock.createContainer.withArgs(buildArgs).yieldsAsync(null, buildContainer);
+
+                        return executor.start({ buildId, container, apiUri, token });
+                    })
+                    .then(() => {
+                        output.end('Launcher failed to start\n');
+
+                        return waitFor(() => requests.length > 0);
+                    })
+                    .then(() => {
+                        assert.deepEqual(requests, [
+                            {
+                                method: 'PUT',
+                                url: `/v1/builds/${buildId}/ARTIFACTS/executor.log`,
+                                authorization: `Bearer ${token}`,
+                                body: 'Launcher fai'
+                            }
+                        ]);
+                    })
+                    .finally(() => server.close());
+            });
+
+            it('keeps the output recorded before the connection to Docker breaks', () => {
+                const logFile = path.join(logsDir, `${buildId}.log`);
+
+                executor = new Executor({ ecosystem, logs: { dir: logsDir } });
+
+                return executor
+                    .start({ buildId, container, apiUri, token })
+                    .then(() => {
+                        output.write('Launching build\n');
+                        output.destroy(new Error('socket hang up'));
+
+                        return waitFor(() => fs.existsSync(logFile) && fs.readFileSync(logFile, 'utf8').length > 0);
+                    })
+                    .then(() => executor.getLogs(buildId))
+                    .then(logs => {
+                        assert.equal(logs, 'Launching build\n');
+                    });
+            });
+
+            it('does not attach without a logs setting', () =>
+                executor.start({ buildId, container, apiUri, token }).then(() => {
+                    assert.notCalled(buildContainer.attach);
+                }));
+
+            it('reads the output from Docker when it is not kept', () => {
+                const frame = (type, text) => {
+                    const header = Buffer.alloc(8);
+
+                    header.writeUInt8(type, 0);
+                    header.writeUInt32BE(Buffer.byteLength(text), 4);
+
+                    return Buffer.concat([header, Buffer.from(text)]);
+                };
+                const logsContainer = {
+                    logs: sinon.stub().yieldsAsync(null, Buffer.concat([frame(1, 'out\n'), frame(2, 'err\n')]))
+                };
+
+                dockerMock.getContainer.withArgs(`${buildId}-build`).returns(logsContainer);
+                dockerMock.getContainer
+                    .withArgs(`${buildId + 1}-build`)
+                    .returns({ logs: sinon.stub().yieldsAsync(Object.assign(new Error('gone'), { statusCode: 404 })) });
+                executor = new Executor({ ecosystem, logs: { dir: logsDir } });
+
+                return Promise.all([executor.getLogs(buildId), executor.getLogs(buildId + 1)]).then(
+                    ([logs, missing]) => {
+                        assert.calledWith(logsContainer.logs, { stdout: true, stderr: true, follow: false });
+                        assert.equal(logs, 'out\nerr\n');
+                        assert.isNull(missing);
+                    }
+                );
+            });
+
+            it('refuses build IDs that are not integers', () => {
+                executor = new Executor({ ecosystem, logs: { dir: logsDir } });
+
+                return executor.getLogs('../../x').then(
+                    () => assert.fail('should not resolve'),
+                    err => {
+                        assert.equal(err.message, 'Invalid build ID "../../x"');
+                        assert.notCalled(dockerMock.getContainer);
+                    }
+                );
+            });
+        });
+
+        describe('capacity', () => {
+            const ecosystem = { api: 'api', ui: 'ui', store: 'store' };
+            const running = (id, cpu = 2, memory = 2) => ({
+                Id: `container${id}`,
+                State: 'running',
+                Names: [`/${id}-build`],
+                Labels: { sdbuild: `${id}`, sdcpu: `${cpu}`, sdram: `${memory}` }
+            });
+            const fusebox = { retry: { retries: 1, minTimeout: 1 } };
+            let builds;
+
+            beforeEach(() => {
+                builds = [];
+                dockerMock.listContainers = sinon.stub().callsFake((args, cb) => {
+                    setImmediate(() => cb(null, args.filters === '{"label":["sdbuild"]}' ? builds : []));
+                });
+                executor = new Executor({ ecosystem, capacity: { maxBuilds: 2 }, fusebox });
+                sinon.stub(executor, '_updateBuildStatus').resolves();
+            });
+
+            afterEach(() => executor.cleanUp());
+
+            it('starts builds right away while there is room', () => {
+                builds = [running(1), { ...running(2), State: 'exited' }, { ...running(3), Names: ['/3-postgres'] }];
+
+                return executor.start({ buildId, container, apiUri, token }).then(() => {
+                    assert.calledWith(dockerMock.createContainer, buildArgs);
+                    assert.callCount(containerMock.start, 1);
+                    assert.deepEqual(executor.stats().queue, { depth: 0, starting: 0 });
+                });
+            });
+
+            it('queues builds until a build stops', () => {
+                builds = [running(1), running(2)];
+
+                return executor
+                    .start({ buildId, container, apiUri, token })
+                    .then(result => {
+                        assert.isNull(result);
+                        assert.notCalled(containerMock.start);
+                        assert.deepEqual(executor.stats().queue, { depth: 1, starting: 0 });
+                        builds = [running(2)];
+
+                        return executor.stop({ buildId: 1, apiUri });
+                    })
+                    .then(() => waitFor(() => containerMock.start.called))
+                    .then(() => {
+                        assert.calledWith(dockerMock.createContainer, buildArgs);
+                        assert.equal(executor.stats().queue.depth, 0);
+                    });
+            });
+
+            it('counts sidecars in the CPU and memory budget', () => {
+                builds = [running(1, 1, 2), { ...running(1, 1, 1), Id: 'sidecar1', Names: ['/1-postgres'] }];
+                executor = new Executor({ ecosystem, capacity: { cpu: 4 }, fusebox });
+
+                return executor
+                    .start({ buildId, container, apiUri, token })
+                    .then(() => {
+                        assert.callCount(containerMock.start, 1);
+
+                        return executor.start({
+                            buildId: buildId + 1,
+                            container,
+                            apiUri,
+                            token,
+                            sidecars: [{ name: 'redis', image: 'redis', cpu: 1 }]
+                        });
+                    })
+                    .then(result => {
+                        assert.isNull(result);
+                        assert.equal(executor.stats().queue.depth, 1);
+                    });
+            });
+
+            it('keeps the running builds within the CPU and memory budget', () => {
+                builds = [running(1, 3, 2)];
+                executor = new Executor({ ecosystem, capacity: { cpu: 4, memory: 8 }, fusebox });
+
+                return executor
+                    .start({ buildId, container, apiUri, token })
+                    .then(result => {
+                        assert.isNull(result);
+                        assert.equal(executor.stats().queue.depth, 1);
+
+                        return executor.start({
+                            buildId: buildId + 1,
+                            container,
+                            apiUri,
+                            token,
+                            annotations: { 'screwdriver.cd/cpu': 'HIGH' }
+                        });
+                    })
+                    .then(() => {
+                        throw new Error('should not have gotten here');
+                    })
+                    .catch(error => {
+                        assert.equal(
+                            error.message,
+                            'Build needs 6 CPU and 2 GB of memory, more than the executor capacity'
+                        );
+                        assert.notCalled(containerMock.start);
+                    });
+            });
+
+            it('starts queued builds by priority', () => {
+                const priority = value => ({ 'screwdriver.cd/priority': value });
+
+                builds = [running(1)];
+                executor = new Executor({ ecosystem, capacity: { maxBuilds: 1, queue: 'priority' }, fusebox });
+
+                return Promise.all([
+                    executor.start({ buildId: 10, container, apiUri, token, annotations: priority(1) }),
+                    executor.start({ buildId: 11, container, apiUri, token, annotations: priority(5) }),
+                    executor.start({ buildId: 12, container, apiUri, token, annotations: priority(5) })
+                ])
+                    .then(() => {
+                        assert.deepEqual(
+                            executor.queue.map(entry => entry.config.buildId),
+                            [11, 12, 10]
+                        );
+                        builds = [];
+
+                        return executor.stop({ buildId: 12, apiUri });
+                    })
+                    .then(() => waitFor(() => containerMock.start.called))
+                    .then(() => {
+                        assert.calledWith(dockerMock.createContainer, sinon.match({ name: '11-build' }));
+                        assert.neverCalledWith(dockerMock.createContainer, sinon.match({ name: '12-build' }));
+                        assert.deepEqual(
+                            executor.queue.map(entry => entry.config.buildId),
+                            [10]
+                        );
+                    });
+            });
+
+            it('rejects invalid capacity options', () => {
+                assert.throws(
+                    () => new Executor({ ecosystem, capacity: { queue: 'lifo' } }),
+                    'Invalid queue order "lifo"'
+                );
+                assert.throws(
+                    () => new Executor({ ecosystem, swarm: { enabled: true }, capacity: { maxBuilds: 2 } }),
+                    'Capacity limits are not supported in swarm mode'
+                );
+            });
+
+            it('reports queued builds that fail to start', () => {
+                builds = [running(1), running(2)];
+                containerMock.start = sinon.stub().yieldsAsync(new Error('no space left on device'));
+
+                return executor
+                    .start({ buildId, container, apiUri, token })
+                    .then(() => {
+                        builds = [];
+
+                        return executor.stop({ buildId: 1, apiUri });
+                    })
+                    .then(() => waitFor(() => executor._updateBuildStatus.called))
+                    .then(() => {
+                        assert.calledWith(executor._updateBuildStatus, {
+                            apiUri,
+                            buildId,
+                            token,
+                            status: 'FAILURE',
+                            statusMessage: 'Build failed to start. no space left on device'
+                        });
+                    });
+            });
+        });
+
+        describe('launcher volume', () => {
+            it('reuses an existing launcher volume', () => {
+                volumeMock.inspect.yieldsAsync(null, { Name: launcherVolume });
+                dockerMock.createContainer.yieldsAsync(null, buildContainer);
+
+                return executor.start({ buildId, container, apiUri, token }).then(() => {
+                    assert.calledWith(dockerMock.getVolume, launcherVolume);
+                    assert.calledWith(dockerMock.createContainer, buildArgs);
+                    assert.callCount(dockerMock.createContainer, 1);
+                    assert.notCalled(dockerMock.listVolumes);
+                });
+            });
+
+            it('removes launcher volumes of other versions', () => {
+                const inUse = { inspect: volumeMock.inspect, remove: sinon.stub().yieldsAsync(new Error('in use')) };
+
+                dockerMock.listVolumes.yieldsAsync(null, {
+                    Volumes: [
+                        { Name: 'sd-launcher-v1', Labels: { sdlauncher: '', sdlauncherversion: 'v1' } },
+                        { Name: 'sd-launcher-v2', Labels: { sdlauncher: '', sdlauncherversion: 'v2' } },
+                        { Name: 'beta_sd-launcher-v1', Labels: { sdlauncher: 'beta_', sdlauncherversion: 'v1' } },
+                        { Name: launcherVolume, Labels: { sdlauncher: '', sdlauncherversion: 'stable' } }
+                    ]
+                });
+                dockerMock.getVolume.withArgs('sd-launcher-v2').returns(inUse);
+
+                return executor.start({ buildId, container, apiUri, token }).then(() => {
+                    assert.calledWith(dockerMock.listVolumes, { filters: '{"label":["sdlauncher"]}' });
+                    assert.calledWith(dockerMock.getVolume, 'sd-launcher-v1');
+                    assert.neverCalledWith(dockerMock.getVolume, 'beta_sd-launcher-v1');
+                    assert.callCount(volumeMock.remove, 1);
+                    assert.called(inUse.remove);
+                    assert.callCount(containerMock.start, 1);
+                });
+            });
+
+            it('fills a new launcher volume when the launcher tag moves to another image', () => {
+                dockerMock.createContainer.yieldsAsync(null, containerMock);
+
+                return executor
+                    .start({ buildId, container, apiUri, token })
+                    .then(() => {
+                        launcherImageMock.inspect = sinon.stub().yieldsAsync(null, { Id: 'sha256:fedcba987654321' });
+
+                        return executor.start({ buildId: buildId + 1, container, apiUri, token });
+                    })
+                    .then(() => {
+                        assert.calledWith(dockerMock.createContainer, sinon.match({ name: `${launcherVolume}-init` }));
+                        assert.calledWith(
+                            dockerMock.createContainer,
+                            sinon.match({
+                                name: 'sd-launcher-stable-fedcba987654-init',
+                                Image: 'sha256:fedcba987654321'
+                            })
+                        );
+                        assert.calledWith(
+                            dockerMock.createContainer,
+                            sinon.match({
+                                name: `${buildId + 1}-build`,
+                                HostConfig: {
+                                    Mounts: sinon.match.some(sinon.match({ Source: 'sd-launcher-stable-fedcba987654' }))
+                                }
+                            })
+                        );
+                    });
+            });
+
+            it('populates the launcher volume once for concurrent builds', () =>
+                Promise.all([
+                    executor.start({ buildId, container, apiUri, token }),
+                    executor.start({ buildId: buildId + 1, container, apiUri, token })
+                ]).then(() => {
+                    assert.callCount(volumeMock.inspect, 1);
+                    assert.callCount(dockerMock.createContainer, 3);
+                    assert.equal(executor.hosts[0].launchers.size, 0);
+                }));
+        });
+
+        it('bubbles create problems back', () => {
+            dockerMock.createContainer.yieldsAsync(new Error('Unable to create container'));
+
+            return executor
+                .start({
+                    buildId,
+                    container,
+                    apiUri,
+                    token
+                })
+                .then(() => {
+                    throw new Error('should not have gotten here');
+                })
+                .catch(error => {
+                    assert.equal(error.message, 'Unable to create container');
+                });
+        });
+
+        it('bubbles start problems back', () => {
+            containerMock.start.yieldsAsync(new Error('Unable to start container'));
+
+            return executor
+                .start({
+                    buildId,
+                    container,
+                    apiUri,
+                    token
+                })
+                .then(() => {
+                    throw new Error('should not have gotten here');
+                })
+                .catch(error => {
+                    assert.equal(error.message, 'Unable to start container');
+                });
+        });
+
+        describe('environment and mounts', () => {
+            const ecosystem = { api: 'api', ui: 'ui', store: 'store' };
+            const pipeline = { id: 12, scmContext: 'github:github.com' };
+
+            beforeEach(() => {
+                buildArgs.Labels.sdpipeline = '12';
+                executor = new Executor({
+                    ecosystem,
+                    env: { HTTP_PROXY: 'http://proxy.corp:3128', MAVEN_OPTS: '-Xmx1g' },
+                    binds: [{ source: '/etc/pki/ca-trust', target: '/etc/pki/ca-trust' }],
+                    cacheVolumes: { m2: '/root/.m2', npm: '/root/.npm' }
+                });
+            });
+
+            it('gives the build container the environment and host paths', () => {
+                buildArgs.Env = ['HTTP_PROXY=http://proxy.corp:3128', 'MAVEN_OPTS=-Xmx1g'];
+                buildArgs.HostConfig.Mounts.push({
+                    Type: 'bind',
+                    Source: '/etc/pki/ca-trust',
+                    Target: '/etc/pki/ca-trust',
+                    ReadOnly: true
+                });
+
+                return executor.start({ buildId, container, apiUri, token, pipeline }).then(() => {
+                    assert.calledWith(dockerMock.createContainer, buildArgs);
+                });
+            });
+
+            it('mounts the cache volumes of the pipeline the build opts into', () =>
+                executor
+                    .start({
+                        buildId,
+                        container,
+                        apiUri,
+                        token,
+                        pipeline,
+                        annotations: { 'screwdriver.cd/cacheVolumes': 'npm, m2,npm' }
+                    })
+                    .then(() => {
+                        assert.calledWith(
+                            dockerMock.createContainer,
+                            sinon.match({
+                                name: `${buildId}-build`,
+                                HostConfig: sinon.match({
+                                    Mounts: [
+                                        sinon.match({ Source: launcherVolume }),
+                                        { Type: 'volume', Target: '/run/sd' },
+                                        sinon.match({ Type: 'bind' }),
+                                        {
+                                            Type: 'volume',
+                                            Source: 'sd-cache-12-npm',
+                                            Target: '/root/.npm',
+                                            VolumeOptions: {
+                                                Labels: { sdcache: '', sdcachepipeline: '12', sdcachename: 'npm' }
+                                            }
+                                        },
+                                        {
+                                            Type: 'volume',
+                                            Source: 'sd-cache-12-m2',
+                                            Target: '/root/.m2',
+                                            VolumeOptions: {
+                                                Labels: { sdcache: '', sdcachepipeline: '12', sdcachename: 'm2' }
+                                            }
+                                        }
+                                    ]
+                                })
+                            })
+                        );
+                    }));
+
+            it('rejects unknown cache volumes', () =>
+                executor
+                    .start({
+                        buildId,
+                        container,
+                        apiUri,
+                        token,
+                        pipeline,
+                        annotations: { 'screwdriver.cd/cacheVolumes': 'gradle' }
+                    })
+                    .then(() => {
+                        throw new Error('should not have gotten here');
+                    })
+                    .catch(error => {
+                        assert.equal(error.message, 'Unknown cache volume "gradle": must be one of m2, npm');
+                        assert.notCalled(dockerMock.createContainer);
+                    }));
+
+            it('rejects cache volumes of builds without a pipeline', () =>
+                executor
+                    .start({
+                        buildId,
+                        container,
+                        apiUri,
+                        token,
+                        annotations: { 'screwdriver.cd/cacheVolumes': 'm2' }
+                    })
+                    .then(() => {
+                        throw new Error('should not have gotten here');
+                    })
+                    .catch(error => {
+                        assert.equal(error.message, 'Cache volumes need the pipeline of the build');
+                    }));
+
+            it('rejects invalid settings', () => {
+                assert.throws(
+                    () => new Executor({ ecosystem, env: { 'NO-DASHES': 'x' } }),
+                    'Invalid environment variable name "NO-DASHES"'
+                );
+                assert.throws(
+                    () => new Executor({ ecosystem, binds: [{ source: 'cache', target: '/cache' }] }),
+                    'Invalid bind source "cache": must be an absolute path'
+                );
+                assert.throws(
+                    () =>
+                        new Executor({
+                            ecosystem,
+                            binds: [{ source: '/var/run/docker.sock', target: '/var/run/docker.sock' }]
+                        }),
+                    'Invalid bind source "/var/run/docker.sock": use dockerAccess to give builds Docker'
+                );
+                assert.throws(
+                    () => new Executor({ ecosystem, cacheVolumes: { m2: '/sd/workspace/.m2' } }),
+                    'Invalid target "/sd/workspace/.m2" of cache volume m2: /opt/sd, /sd, /run/sd are reserved'
+                );
+                assert.throws(
+                    () => new Executor({ ecosystem, cacheVolumes: { 'Maven Repo': '/root/.m2' } }),
+                    'Invalid cache volume name "Maven Repo"'
+                );
+            });
+        });
+    });
+
+    describe('stop', () => {
+        const buildId = 1992;
+        const apiUri = 'https://api.sd.cd';
+
+        it('finds and removes the containers', () => {
+            const findArgs = {
+                filters: `{"label":["sdbuild=${buildId}"]}`,
+                all: true
+            };
+            const removeArgs = {
+                v: true,
+                force: true
+            };
+
+            dockerMock.listContainers.yieldsAsync(new Error('bad container args'));
+            dockerMock.listContainers.withArgs(findArgs).yieldsAsync(null, [containerShellMock, containerShellMock]);
+
+            return executor
+                .stop({
+                    apiUri,
+                    buildId
+                })
+                .then(() => {
+                    assert.calledWith(dockerMock.listContainers, findArgs);
+                    assert.calledWith(containerMock.remove, removeArgs);
+                    assert.callCount(containerMock.remove, 2);
+                });
+        });
+
+        it('supports prefixes', () => {
+            const prefix = 'beta_';
+            const findArgs = {
+                filters: `{"label":["sdbuild=${prefix}${buildId}"]}`,
+                all: true
+            };
+            const removeArgs = {
+                v: true,
+                force: true
+            };
+
+            dockerMock.listContainers.yieldsAsync(new Error('bad container args'));
+            dockerMock.listContainers.withArgs(findArgs).yieldsAsync(null, [containerShellMock, containerShellMock]);
+
+            executor = new Executor({
+                prefix,
+                ecosystem: {
+                    api: 'api',
+                    ui: 'ui',
+                    store: 'store'
+                }
+            });
+
+            return executor
+                .stop({
+                    apiUri,
+                    buildId
+                })
+                .then(() => {
+                    assert.calledWith(dockerMock.listContainers, findArgs);
+                    assert.calledWith(containerMock.remove, removeArgs);
+                    assert.callCount(containerMock.remove, 2);
+                });
+        });
+
+        it('gives the build container a grace period to exit', () =>
+            executor.stop({ apiUri, buildId }).then(() => {
+                assert.calledWith(dockerMock.getContainer, `${buildId}-build`);
+                assert.calledWith(containerMock.kill, { signal: 'SIGTERM' });
+                assert.callOrder(containerMock.kill, containerMock.wait, containerMock.remove);
+            }));
+
+        it('supports a stop signal and the terminationGracePeriod annotation', () => {
+            const stuckContainer = {
+                kill: sinon.stub().yieldsAsync(null),
+                wait: sinon.stub()
+            };
+            const start = Date.now();
+
+            dockerMock.getContainer.withArgs(`${buildId}-build`).returns(stuckContainer);
+            executor = new Executor({
+                ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                stopSignal: 'SIGINT',
+                retainVolumes: true
+            });
+
+            return executor
+                .stop({
+                    apiUri,
+                    buildId,
+                    annotations: { 'screwdriver.cd/terminationGracePeriod': '0.2' }
+                })
+                .then(() => {
+                    assert.calledWith(stuckContainer.kill, { signal: 'SIGINT' });
+                    assert.isAtLeast(Date.now() - start, 200);
+                    assert.calledWith(containerMock.remove, { v: false, force: true });
+                });
+        });
+
+        it('uses the default grace period for invalid annotations', () =>
+            executor
+                .stop({ apiUri, buildId, annotations: { 'screwdriver.cd/terminationGracePeriod': 'soon' } })
+                .then(() => {
+                    assert.called(containerMock.wait);
+                    assert.callCount(containerMock.remove, 1);
+                }));
+
+        it('removes the build network', () => {
+            dockerMock.listNetworks.yieldsAsync(null, [{ Id: 'networkID' }]);
+
+            return executor.stop({ apiUri, buildId }).then(() => {
+                assert.calledWith(dockerMock.listNetworks, { filters: `{"label":["sdbuild=${buildId}"]}` });
+                assert.calledWith(dockerMock.getNetwork, 'networkID');
+                assert.callCount(networkMock.remove, 1);
+            });
+        });
+
+        it('bubbles list problems back', () => {
+            dockerMock.listContainers.yieldsAsync(new Error('Unable to list containers'));
+
+            return executor
+                .stop({
+                    apiUri,
+                    buildId
+                })
+                .then(() => {
+                    throw new Error('should not have gotten here');
+                })
+                .catch(error => {
+                    assert.equal(error.message, 'Unable to list containers');
+                });
+        });
+
+        it('bubbles remove problems back', () => {
+            containerMock.remove.yieldsAsync(new Error('Unable to remove container'));
+
+            return executor
+                .stop({
+                    apiUri,
+                    buildId
+                })
+                .then(() => {
+                    throw new Error('should not have gotten here');
+                })
+                .catch(error => {
+                    assert.equal(error.message, 'Unable to remove container');
+                });
+        });
+    });
+
+    describe('swarm', () => {
+        const buildId = 1992;
+        const apiUri = 'https://api.sd.cd';
+        const token = '123456';
+        const launcherName = launcherVolume;
+        let serviceMock;
+        let secretMock;
+
+        beforeEach(() => {
+            secretMock = { id: 'secretID', remove: sinon.stub().yieldsAsync(null) };
+            dockerMock.createSecret = sinon.stub().yieldsAsync(null, secretMock);
+            dockerMock.listSecrets = sinon.stub().yieldsAsync(null, []);
+            dockerMock.getSecret = sinon.stub().returns(secretMock);
+            serviceMock = {
+                id: 'serviceID',
+                remove: sinon.stub().yieldsAsync(null)
+            };
+            dockerMock.createService = sinon.stub().yieldsAsync(null, serviceMock);
+            dockerMock.listServices = sinon.stub().yieldsAsync(null, []);
+            dockerMock.getService = sinon.stub().returns(serviceMock);
+            dockerMock.listTasks = sinon.stub().yieldsAsync(null, [{ ID: 'task1', Status: { State: 'complete' } }]);
+            launcherImageMock.distribution = sinon
+                .stub()
+                .yieldsAsync(null, { Descriptor: { digest: launcherImageId } });
+
+            executor = new Executor({
+                ecosystem: {
+                    api: 'api',
+                    ui: 'ui',
+                    store: 'store'
+                },
+                swarm: {
+                    enabled: true,
+                    constraints: ['node.labels.sd == builds']
+                },
+                registries: {
+                    'docker-registry.foo.bar:1111': { username: 'batman', password: 'robin' }
+                }
+            });
+        });
+
+        it('creates a build service with the launcher volume', () =>
+            executor
+                .start({ buildId, container: 'docker-registry.foo.bar:1111/someImage:1.0', apiUri, token })
+                .then(() => {
+                    assert.notCalled(dockerMock.createImage);
+                    assert.notCalled(dockerMock.createContainer);
+                    assert.calledWith(dockerMock.listServices, {
+                        filters: JSON.stringify({ name: [launcherName] })
+                    });
+                    assert.calledWith(dockerMock.createService, undefined, {
+                        Name: launcherName,
+                        Labels: { sdlauncher: '', sdlauncherversion: 'stable', sdlauncherimage: launcherImageId },
+                        TaskTemplate: {
+                            ContainerSpec: {
+                                Image: `screwdrivercd/launcher:stable@${launcherImageId}`,
+                                Command: ['/bin/true'],
+                                Mounts: [
+                                    {
+                                        Type: 'volume',
+                                        Source: launcherName,
+                                        Target: '/opt/sd',
+                                        VolumeOptions: {
+                                            NoCopy: false,
+                                            Labels: {
+                                                sdlauncher: '',
+                                                sdlauncherversion: 'stable',
+                                                sdlauncherimage: launcherImageId
+                                            }
+                                        }
+                                    }
+                                ]
+                            },
+                            RestartPolicy: { Condition: 'none' }
+                        },
+                        Mode: { Global: {} }
+                    });
+                    assert.calledWith(dockerMock.listTasks, {
+                        filters: JSON.stringify({ service: [launcherName] })
+                    });
+                    assert.calledWith(
+                        dockerMock.createService,
+                        {
+                            serveraddress: 'docker-registry.foo.bar:1111',
+                            username: 'batman',
+                            password: 'robin'
+                        },
+                        {
+                            Name: `${buildId}-build`,
+                            Labels: { sdbuild: `${buildId}` },
+                            TaskTemplate: {
+                                ContainerSpec: {
+                                    Image: 'docker-registry.foo.bar:1111/someImage:1.0',
+                                    Labels: { sdbuild: `${buildId}` },
+                                    Command: ['/opt/sd/launcher_entrypoint.sh'],
+                                    Args: [
+                                        `/opt/sd/run.sh "$(cat /run/secrets/sd-token)" 'api' 'store' '90' '${buildId}' 'ui'`
+                                    ],
+                                    StopSignal: 'SIGTERM',
+                                    StopGracePeriod: 30 * 1000 * 1000 * 1000,
+                                    Mounts: [
+                                        { Type: 'volume', Source: launcherName, Target: '/opt/sd', ReadOnly: true }
+                                    ],
+                                    Secrets: [
+                                        {
+                                            SecretID: 'secretID',
+                                            SecretName: `${buildId}-token`,
+                                            File: { Name: 'sd-token', UID: '0', GID: '0', Mode: 0o444 }
+                                        }
+                                    ]
+                                },
+                                Resources: {
+                                    Limits: { NanoCPUs: 2 * 1000 * 1000 * 1000, MemoryBytes: 2 * 1024 * 1024 * 1024 },
+                                    Reservations: {
+                                        NanoCPUs: 2 * 1000 * 1000 * 1000,
+                                        MemoryBytes: 2 * 1024 * 1024 * 1024
+                                    }
+                                },
+                                RestartPolicy: { Condition: 'none' },
+                                Placement: { Constraints: ['node.labels.sd == builds'] }
+                            },
+                            Mode: { Replicated: { Replicas: 1 } }
+                        }
+                    );
+                    assert.callCount(dockerMock.createService, 2);
+                }));
+
+        it('gives build services the environment, host paths and cache volumes', () => {
+            executor = new Executor({
+                ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                swarm: { enabled: true },
+                env: { HTTP_PROXY: 'http://proxy.corp:3128' },
+                binds: [{ source: '/etc/pki/ca-trust', target: '/etc/pki/ca-trust', readOnly: false }],
+                cacheVolumes: { m2: '/root/.m2' }
+            });
+
+            return executor
+                .start({
+                    buildId,
+                    container: 'node:6',
+                    apiUri,
+                    token,
+                    pipelineId: 12,
+                    annotations: { 'screwdriver.cd/cacheVolumes': 'm2' }
+                })
+                .then(() => {
+                    assert.calledWith(
+                        dockerMock.createService,
+                        undefined,
+                        sinon.match({
+                            Name: `${buildId}-build`,
+                            TaskTemplate: {
+                                ContainerSpec: sinon.match({
+                                    Env: ['HTTP_PROXY=http://proxy.corp:3128'],
+                                    Mounts: [
+                                        sinon.match({ Source: launcherName }),
+                                        {
+                                            Type: 'bind',
+                                            Source: '/etc/pki/ca-trust',
+                                            Target: '/etc/pki/ca-trust',
+                                            ReadOnly: false
+                                        },
+                                        sinon.match({ Type: 'volume', Source: 'sd-cache-12-m2', Target: '/root/.m2' })
+                                    ]
+                                })
+                            }
+                        })
+                    );
+                });
+        });
+
+        it('mounts the docker socket into services of allow-listed pipelines', () => {
+            executor = new Executor({
+                ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                swarm: { enabled: true },
+                dockerAccess: { pipelines: [12] }
+            });
+
+            return executor
+                .start({
+                    buildId,
+                    container: 'node:6',
+                    apiUri,
+                    token,
+                    pipeline: { id: 12, scmContext: 'github:github.com' }
+                })
+                .then(() => {
+                    assert.calledWith(
+                        dockerMock.createService,
+                        undefined,
+                        sinon.match({
+                            Name: `${buildId}-build`,
+                            TaskTemplate: {
+                                ContainerSpec: {
+                                    Mounts: [
+                                        sinon.match({ Source: launcherName }),
+                                        {
+                                            Type: 'bind',
+                                            Source: '/var/run/docker.sock',
+                                            Target: '/var/run/docker.sock'
+                                        }
+                                    ]
+                                }
+                            }
+                        })
+                    );
+                });
+        });
+
+        it('does not support Docker-in-Docker builds', () => {
+            assert.throws(
+                () =>
+                    new Executor({
+                        ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                        swarm: { enabled: true },
+                        dockerAccess: { mode: 'dind' }
+                    }),
+                'Docker-in-Docker builds are not supported in swarm mode'
+            );
+        });
+
+        it('reuses the launcher service of the launcher version', () => {
+            dockerMock.listServices.yieldsAsync(null, [{ ID: 'launcherID', Spec: { Name: launcherName } }]);
+
+            return executor
+                .start({ buildId, container: 'node:6', apiUri, token })
+                .then(() => executor.start({ buildId: buildId + 1, container: 'node:6', apiUri, token }))
+                .then(() => {
+                    assert.callCount(dockerMock.listServices, 1);
+                    assert.callCount(dockerMock.createService, 2);
+                    assert.neverCalledWith(dockerMock.createService, undefined, sinon.match({ Name: launcherName }));
+                });
+        });
+
+        it('bubbles launcher failures back', () => {
+            dockerMock.listTasks.yieldsAsync(null, [
+                { ID: 'task1', Status: { State: 'failed', Err: 'no such image' } }
+            ]);
+
+            return executor
+                .start({ buildId, container: 'node:6', apiUri, token })
+                .then(() => {
+                    throw new Error('should not have gotten here');
+                })
+                .catch(error => {
+                    assert.equal(error.message, 'Launcher task task1 failed: no such image');
+                    assert.callCount(dockerMock.createService, 1);
+                    assert.equal(executor.launchers.size, 0);
+                });
+        });
+
+        it('passes the token as a secret instead of in the service spec', () =>
+            executor.start({ buildId, container: 'node:6', apiUri, token }).then(() => {
+                assert.calledWith(dockerMock.createSecret, {
+                    Name: `${buildId}-token`,
+                    Labels: { sdbuild: `${buildId}` },
+                    Data: Buffer.from(token).toString('base64')
+                });
+                assert.notInclude(JSON.stringify(dockerMock.createService.args), token);
+                assert.notInclude(JSON.stringify(dockerMock.createService.args), Buffer.from(token).toString('base64'));
+            }));
+
+        it('removes the token secret when the service cannot be created', () => {
+            executor = new Executor({
+                ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                swarm: { enabled: true },
+                fusebox: { retry: { retries: 1, minTimeout: 1 } }
+            });
+            dockerMock.createService = sinon.stub().yieldsAsync(new Error('no such network'));
+            dockerMock.listSecrets.yieldsAsync(null, [{ ID: 'secretID' }]);
+
+            return executor
+                .start({ buildId, container: 'node:6', apiUri, token })
+                .then(() => {
+                    throw new Error('should not have gotten here');
+                })
+                .catch(error => {
+                    assert.equal(error.message, 'no such network');
+                    assert.calledWith(dockerMock.getSecret, 'secretID');
+                    assert.callCount(secretMock.remove, 1);
+                });
+        });
+
+        it('finds and removes the build services', () => {
+            dockerMock.listServices.yieldsAsync(null, [{ ID: 'serviceID' }]);
+            dockerMock.listSecrets.yieldsAsync(null, [{ ID: 'secretID' }]);
+
+            return executor.stop({ buildId, apiUri }).then(() => {
+                assert.calledWith(dockerMock.listServices, {
+                    filters: JSON.stringify({ label: [`sdbuild=${buildId}`] })
+                });
+                assert.calledWith(dockerMock.getService, 'serviceID');
+                assert.callCount(serviceMock.remove, 1);
+                assert.calledWith(dockerMock.listSecrets, {
+                    filters: JSON.stringify({ label: [`sdbuild=${buildId}`] })
+                });
+                assert.isTrue(secretMock.remove.calledAfter(serviceMock.remove));
+                assert.notCalled(dockerMock.listContainers);
+            });
+        });
+    });
+
+    describe('build timeouts', () => {
+        const buildId = 1993;
+        const container = 'node:6';
+        const token = '123456';
+        const apiUri = 'https://api.sd.cd';
+        const annotations = { 'screwdriver.cd/timeout': 2 };
+        let clock;
+
+        beforeEach(() => {
+            executor = new Executor({
+                ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                reaper: { interval: 0, grace: 30 * 1000 },
+                fusebox: { retry: { retries: 1, minTimeout: 1 } }
+            });
+            sinon.stub(executor, '_updateBuildStatus').resolves();
+        });
+
+        afterEach(() => {
+            if (clock) {
+                clock.restore();
+                clock = null;
+            }
+        });
+
+        it('reports and stops builds past their timeout and grace period', () => {
+            const events = [];
+
+            dockerMock.getEvents = sinon.stub().yieldsAsync(null, new PassThrough());
+            executor.on('timedout', event => events.push(event)).on('stopped', event => events.push(event));
+            clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+
+            return executor
+                .start({ buildId, container, apiUri, token, annotations })
+                .then(() => {
+                    const { deadline, started } = executor.deadlines.get(buildId);
+
+                    assert.equal(deadline - started, 150 * 1000);
+                    clock.tick(149 * 1000);
+                    assert.notCalled(executor._updateBuildStatus);
+                    clock.tick(1000);
+                    clock.restore();
+                    clock = null;
+
+                    return waitFor(() => events.length === 2);
+                })
+                .then(() => {
+                    assert.calledWith(executor._updateBuildStatus, {
+                        apiUri,
+                        buildId,
+                        token,
+                        status: 'FAILURE',
+                        statusMessage: 'Build timed out after 2 minutes'
+                    });
+                    assert.isTrue(executor._updateBuildStatus.calledBefore(containerMock.kill));
+                    assert.deepEqual(
+                        events.map(event => [event.type, event.buildId]),
+                        [
+                            ['timedout', buildId],
+                            ['stopped', buildId]
+                        ]
+                    );
+                    assert.equal(executor.deadlines.size, 0);
+                });
+        });
+
+        it('forgets the deadline of stopped builds', () =>
+            executor
+                .start({ buildId, container, apiUri, token, annotations })
+                .then(() => {
+                    assert.equal(executor.deadlines.size, 1);
+
+                    return executor.stop({ buildId, apiUri });
+                })
+                .then(() => {
+                    assert.equal(executor.deadlines.size, 0);
+                    assert.notCalled(executor._updateBuildStatus);
+                }));
+
+        it('leaves the builds it tracks to their deadline in the reaper', () => {
+            dockerMock.listContainers.yieldsAsync(null, [
+                {
+                    Id: 'containerID',
+                    State: 'running',
+                    Created: Math.floor(Date.now() / 1000) - 3600,
+                    Names: [`/${buildId}-build`],
+                    Labels: { sdbuild: `${buildId}`, sdtimeout: '1', sdapi: apiUri }
+                }
+            ]);
+
+            return executor
+                .start({ buildId, container, apiUri, token, annotations })
+                .then(() => executor.cleanup())
+                .then(counts => {
+                    assert.deepEqual(counts, { removed: 0, killed: 0, failed: 0 });
+                    assert.notCalled(containerMock.kill);
+                });
+        });
+    });
+
+    describe('reconcile', () => {
+        const apiUri = 'https://api.sd.cd';
+        const now = Date.now();
+
+        beforeEach(() => {
+            executor = new Executor({
+                ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                instanceId: 'executor-1',
+                reaper: { interval: 0 },
+                fusebox: { retry: { retries: 1, minTimeout: 1 } }
+            });
+            sinon.stub(executor, '_updateBuildStatus').resolves();
+        });
+
+        afterEach(() => executor.cleanUp());
+
+        it('picks up the running builds of this executor', () => {
+            const labels = { sdtimeout: '90', sdexecutor: 'executor-1', sdapi: apiUri };
+
+            dockerMock.listContainers.yieldsAsync(null, [
+                {
+                    Id: 'a',
+                    State: 'running',
+                    Created: Math.floor(now / 1000) - 600,
+                    Names: ['/1-build'],
+                    Labels: {
+                        ...labels,
+                        sdbuild: '1',
+                        sdstarted: new Date(now - 300 * 1000).toISOString(),
+                        sdpipeline: '12',
+                        sdjob: '34',
+                        sdevent: '56',
+                        sdlaunchversion: 'v6.0.1'
+                    }
+                },
+                { Id: 'b', State: 'running', Created: 0, Names: ['/1-postgres'], Labels: { ...labels, sdbuild: '1' } },
+                {
+                    Id: 'c',
+                    State: 'running',
+                    Created: 0,
+                    Names: ['/2-build'],
+                    Labels: { ...labels, sdbuild: '2', sdexecutor: 'executor-2' }
+                },
+                { Id: 'd', State: 'exited', Created: 0, Names: ['/3-build'], Labels: { ...labels, sdbuild: '3' } },
+                {
+                    Id: 'e',
+                    State: 'running',
+                    Created: Math.floor(now / 1000) - 60,
+                    Names: ['/4-build'],
+                    Labels: { sdbuild: '4' }
+                }
+            ]);
+
+            return executor.reconcile().then(builds => {
+                assert.deepEqual(builds, [
+                    {
+                        buildId: 1,
+                        host: 'default',
+                        executor: 'executor-1',
+                        state: 'running',
+                        pipelineId: 12,
+                        jobId: 34,
+                        eventId: 56,
+                        started: new Date(now - 300 * 1000).toISOString(),
+                        timeout: 90,
+                        launchVersion: 'v6.0.1'
+                    },
+                    {
+                        buildId: 4,
+                        host: 'default',
+                        executor: undefined,
+                        state: 'running',
+                        pipelineId: undefined,
+                        jobId: undefined,
+                        eventId: undefined,
+                        started: new Date(Math.floor(now / 1000) * 1000 - 60 * 1000).toISOString(),
+                        timeout: undefined,
+                        launchVersion: undefined
+                    }
+                ]);
+                assert.deepEqual([...executor.placements.keys()], [1, 4]);
+                assert.deepEqual([...executor.deadlines.keys()], [1]);
+                assert.equal(executor.deadlines.get(1).deadline, now - 300 * 1000 + 90 * 60 * 1000 + 15 * 60 * 1000);
+            });
+        });
+
+        it('stops picked up builds past their deadline with the token in their container', () => {
+            containerMock.getArchive = sinon.stub().callsFake((options, cb) => {
+                const archive = tar.pack();
+
+                archive.entry({ name: 'token' }, 'restored-token');
+                archive.finalize();
+                cb(null, archive);
+            });
+            dockerMock.listContainers.yieldsAsync(null, [
+                {
+                    Id: 'a',
+                    State: 'running',
+                    Created: 0,
+                    Names: ['/1-build'],
+                    Labels: {
+                        sdbuild: '1',
+                        sdtimeout: '90',
+                        sdexecutor: 'executor-1',
+                        sdapi: apiUri,
+                        sdstarted: new Date(now - 120 * 60 * 1000).toISOString()
+                    }
+                }
+            ]);
+
+            return executor
+                .reconcile()
+                .then(() => waitFor(() => containerMock.kill.called))
+                .then(() => {
+                    assert.calledWith(dockerMock.getContainer, '1-build');
+                    assert.calledWith(containerMock.getArchive, { path: '/run/sd/token' });
+                    assert.calledWith(executor._updateBuildStatus, {
+                        apiUri,
+                        buildId: 1,
+                        token: 'restored-token',
+                        status: 'FAILURE',
+                        statusMessage: 'Build timed out after 90 minutes'
+                    });
+                });
+        });
+
+        it('has nothing to pick up in swarm mode', () => {
+            executor = new Executor({ ecosystem: { api: 'api', ui: 'ui', store: 'store' }, swarm: { enabled: true } });
+
+            return executor.reconcile().then(builds => {
+                assert.deepEqual(builds, []);
+                assert.notCalled(dockerMock.listContainers);
+            });
+        });
+    });
+
+    describe('status and list', () => {
+        const created = Math.floor(Date.now() / 1000);
+
+        beforeEach(() => {
+            executor = new Executor({
+                ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                instanceId: 'executor-1',
+                reaper: { interval: 0 },
+                fusebox: { retry: { retries: 1, minTimeout: 1 } }
+            });
+        });
+
+        afterEach(() => executor.cleanUp());
+
+        it('gets the status of the containers of a build', () => {
+            const buildInspect = {
+                Id: 'build1',
+                Name: '/1-build',
+                Image: 'sha256:node',
+                Config: { Image: 'node:20' },
+                State: {
+                    Status: 'exited',
+                    ExitCode: 137,
+                    OOMKilled: true,
+                    Error: '',
+                    StartedAt: '2026-10-19T10:00:00.123456789Z',
+                    FinishedAt: '2026-10-19T10:05:00Z'
+                }
+            };
+            const sidecarInspect = {
+                Id: 'postgres1',
+                Name: '/1-postgres',
+                Image: 'sha256:postgres',
+                Config: { Image: 'postgres:16' },
+                State: {
+                    Status: 'created',
+                    ExitCode: 0,
+                    OOMKilled: false,
+                    Error: '',
+                    StartedAt: '0001-01-01T00:00:00Z',
+                    FinishedAt: '0001-01-01T00:00:00Z'
+                }
+            };
+
+            dockerMock.listContainers.yieldsAsync(null, [{ Id: 'build1' }, { Id: 'postgres1' }]);
+            dockerMock.getContainer
+                .withArgs('build1')
+                .returns({ inspect: sinon.stub().yieldsAsync(null, buildInspect) });
+            dockerMock.getContainer
+                .withArgs('postgres1')
+                .returns({ inspect: sinon.stub().yieldsAsync(null, sidecarInspect) });
+            dockerMock.getImage.withArgs('sha256:node').returns({
+                inspect: sinon.stub().yieldsAsync(null, { RepoDigests: ['node@sha256:abc'] })
+            });
+
+            return executor.status({ buildId: 1 }).then(status => {
+                assert.calledWith(dockerMock.listContainers, {
+                    filters: JSON.stringify({ label: ['sdbuild=1'] }),
+                    all: true
+                });
+                assert.deepEqual(status, {
+                    buildId: 1,
+                    host: 'default',
+                    state: 'exited',
+                    containers: [
+                        {
+                            name: '1-build',
+                            id: 'build1',
+                            host: 'default',
+                            image: 'node:20',
+                            imageId: 'sha256:node',
+                            imageDigest: 'sha256:abc',
+                            state: 'exited',
+                            exitCode: 137,
+                            oomKilled: true,
+                            error: null,
+                            startedAt: '2026-10-19T10:00:00.123Z',
+                            finishedAt: '2026-10-19T10:05:00.000Z'
+                        },
+                        {
+                            name: '1-postgres',
+                            id: 'postgres1',
+                            host: 'default',
+                            image: 'postgres:16',
+                            imageId: 'sha256:postgres',
+                            imageDigest: null,
+                            state: 'created',
+                            exitCode: 0,
+                            oomKilled: false,
+                            error: null,
+                            startedAt: null,
+                            finishedAt: null
+                        }
+                    ]
+                });
+            });
+        });
+
+        it('resolves null for builds without containers', () => {
+            dockerMock.listContainers.yieldsAsync(null, []);
+
+            return executor.status({ buildId: 1 }).then(status => assert.isNull(status));
+        });
+
+        it('lists the running builds of every executor instance', () => {
+            dockerMock.listContainers.yieldsAsync(null, [
+                {
+                    Id: 'a',
+                    State: 'running',
+                    Created: created,
+                    Names: ['/1-build'],
+                    Labels: { sdbuild: '1', sdtimeout: '90', sdexecutor: 'executor-1', sdpipeline: '12' }
+                },
+                {
+                    Id: 'b',
+                    State: 'running',
+                    Created: created,
+                    Names: ['/2-build'],
+                    Labels: { sdbuild: '2', sdexecutor: 'executor-2' }
+                },
+                { Id: 'c', State: 'running', Created: created, Names: ['/1-postgres'], Labels: { sdbuild: '1' } },
+                { Id: 'd', State: 'exited', Created: created, Names: ['/3-build'], Labels: { sdbuild: '3' } },
+                { Id: 'e', State: 'running', Created: created, Names: ['/beta-4-build'], Labels: { sdbuild: 'beta-4' } }
+            ]);
+
+            return executor.list().then(builds => {
+                assert.deepEqual(
+                    builds.map(({ buildId, executor: instance, pipelineId }) => ({ buildId, instance, pipelineId })),
+                    [
+                        { buildId: 1, instance: 'executor-1', pipelineId: 12 },
+                        { buildId: 2, instance: 'executor-2', pipelineId: undefined }
+                    ]
+                );
+                assert.equal(executor.placements.size, 0);
+                assert.equal(executor.deadlines.size, 0);
+            });
+        });
+
+        it('has no builds to show in swarm mode', () => {
+            executor = new Executor({ ecosystem: { api: 'api', ui: 'ui', store: 'store' }, swarm: { enabled: true } });
+
+            return Promise.all([
+                executor.list().then(builds => assert.deepEqual(builds, [])),
+                executor.status({ buildId: 1 }).then(
+                    () => assert.fail('should not resolve'),
+                    err => assert.equal(err.message, 'Build status is not available in swarm mode')
+                )
+            ]);
+        });
+    });
+
+    describe('reaper', () => {
+        const now = Date.now();
+        const minutesAgo = minutes => Math.floor((now - minutes * 60 * 1000) / 1000);
+        let containers;
+        let infos;
+
+        beforeEach(() => {
+            containers = {};
+            infos = {};
+            dockerMock.getContainer = sinon.stub().callsFake(id => containers[id]);
+            dockerMock.listContainers.yieldsAsync(null, []);
+        });
+
+        /**
+         * Register a build container with the docker mock
+         * @method addContainer
+         * @param  {Object} info       Docker container list entry
+         * @param  {String} finishedAt Finish time reported by inspect
+         */
+        function addContainer(info, finishedAt = '0001-01-01T00:00:00Z') {
+            infos[info.Id] = info;
+            containers[info.Id] = {
+                id: info.Id,
+                inspect: sinon.stub().yieldsAsync(null, { State: { FinishedAt: finishedAt } }),
+                remove: sinon.stub().yieldsAsync(null),
+                kill: sinon.stub().yieldsAsync(null)
+            };
+            dockerMock.listContainers.yieldsAsync(null, Object.values(infos));
+        }
+
+        it('removes build containers that exited too long ago', () => {
+            addContainer(
+                { Id: 'old', State: 'exited', Created: minutesAgo(200), Labels: { sdbuild: '1' } },
+                new Date(now - 90 * 60 * 1000).toISOString()
+            );
+            addContainer(
+                { Id: 'recent', State: 'exited', Created: minutesAgo(200), Labels: { sdbuild: '2' } },
+                new Date(now - 10 * 60 * 1000).toISOString()
+            );
+            addContainer({ Id: 'neverStarted', State: 'created', Created: minutesAgo(90), Labels: { sdbuild: '3' } });
+            addContainer({
+                Id: 'otherPrefix',
+                State: 'exited',
+                Created: minutesAgo(200),
+                Labels: { sdbuild: 'beta_4' }
+            });
+
+            return executor.cleanup().then(counts => {
+                assert.deepEqual(counts, { removed: 2, killed: 0, failed: 0 });
+                assert.calledWith(dockerMock.listContainers, { filters: '{"label":["sdbuild"]}', all: true });
+                assert.calledWith(containers.old.remove, { v: true, force: true });
+                assert.called(containers.neverStarted.remove);
+                assert.notCalled(containers.recent.remove);
+                assert.notCalled(containers.otherPrefix.inspect);
+            });
+        });
+
+        it('kills running build containers past their timeout and grace period', () => {
+            addContainer({
+                Id: 'stuck',
+                State: 'running',
+                Created: minutesAgo(120),
+                Labels: { sdbuild: '1', sdtimeout: '90' }
+            });
+            addContainer({
+                Id: 'grace',
+                State: 'running',
+                Created: minutesAgo(100),
+                Labels: { sdbuild: '2', sdtimeout: '90' }
+            });
+            addContainer({ Id: 'unknown', State: 'running', Created: minutesAgo(1000), Labels: { sdbuild: '3' } });
+
+            return executor.cleanup().then(counts => {
+                assert.deepEqual(counts, { removed: 0, killed: 1, failed: 0 });
+                assert.calledWith(containers.stuck.kill, {});
+                assert.notCalled(containers.stuck.remove);
+                assert.notCalled(containers.grace.kill);
+                assert.notCalled(containers.unknown.kill);
+            });
+        });
+
+        it('reports builds past their timeout with the token in their container', () => {
+            const apiUri = 'https://api.sd.cd';
+
+            addContainer({
+                Id: 'stuck',
+                State: 'running',
+                Created: minutesAgo(120),
+                Names: ['/1-build'],
+                Labels: { sdbuild: '1', sdtimeout: '90', sdapi: apiUri }
+            });
+            addContainer({
+                Id: 'sidecar',
+                State: 'running',
+                Created: minutesAgo(120),
+                Names: ['/1-postgres'],
+                Labels: { sdbuild: '1', sdtimeout: '90', sdapi: apiUri }
+            });
+            containers.stuck.getArchive = sinon.stub().callsFake((options, cb) => {
+                const archive = tar.pack();
+
+                archive.entry({ name: 'token' }, 'restored-token');
+                archive.finalize();
+                cb(null, archive);
+            });
+            sinon.stub(executor, '_updateBuildStatus').resolves();
+
+            return executor.cleanup().then(counts => {
+                assert.deepEqual(counts, { removed: 0, killed: 2, failed: 0 });
+                assert.calledWith(containers.stuck.getArchive, { path: '/run/sd/token' });
+                assert.calledOnce(executor._updateBuildStatus);
+                assert.calledWith(executor._updateBuildStatus, {
+                    apiUri,
+                    buildId: 1,
+                    token: 'restored-token',
+                    status: 'FAILURE',
+                    statusMessage: 'Build timed out after 90 minutes'
+                });
+                assert.isTrue(containers.stuck.getArchive.calledBefore(containers.stuck.kill));
+            });
+        });
+
+        it('supports prefixes and reports counts in stats', () => {
+            executor = new Executor({
+                prefix: 'beta_',
+                ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                reaper: { maxAge: 0 },
+                fusebox: { retry: { retries: 1, minTimeout: 1 } }
+            });
+            addContainer({ Id: 'mine', State: 'exited', Created: minutesAgo(5), Labels: { sdbuild: 'beta_1' } });
+            addContainer({ Id: 'broken', State: 'dead', Created: minutesAgo(5), Labels: { sdbuild: 'beta_2' } });
+            addContainer({ Id: 'unprefixed', State: 'exited', Created: minutesAgo(5), Labels: { sdbuild: '3' } });
+            containers.broken.remove.yieldsAsync(new Error('device busy'));
+
+            return executor.cleanup().then(counts => {
+                const { reaper } = executor.stats();
+
+                assert.deepEqual(counts, { removed: 1, killed: 0, failed: 1 });
+                assert.notCalled(containers.unprefixed.remove);
+                assert.include(reaper, { runs: 1, removed: 1, killed: 0, failed: 1 });
+                assert.isString(reaper.lastRun);
+            });
+        });
+
+        it('removes the networks of builds without containers', () => {
+            const created = minutes => new Date(now - minutes * 60 * 1000).toISOString();
+            const networks = {
+                orphan: { remove: sinon.stub().yieldsAsync(null) },
+                young: { remove: sinon.stub().yieldsAsync(null) },
+                active: { remove: sinon.stub().yieldsAsync(null) },
+                otherPrefix: { remove: sinon.stub().yieldsAsync(null) }
+            };
+
+            addContainer({ Id: 'running', State: 'running', Created: minutesAgo(10), Labels: { sdbuild: '2' } });
+            dockerMock.getNetwork = sinon.stub().callsFake(id => networks[id]);
+            dockerMock.listNetworks.yieldsAsync(null, [
+                { Id: 'orphan', Name: '1-network', Created: created(120), Labels: { sdbuild: '1' } },
+                { Id: 'active', Name: '2-network', Created: created(120), Labels: { sdbuild: '2' } },
+                { Id: 'young', Name: '3-network', Created: created(1), Labels: { sdbuild: '3' } },
+                { Id: 'otherPrefix', Name: 'beta_1-network', Created: created(120), Labels: { sdbuild: 'beta_1' } }
+            ]);
+
+            return executor.cleanup().then(() => {
+                assert.calledWith(dockerMock.listNetworks, { filters: '{"label":["sdbuild"]}' });
+                assert.callCount(networks.orphan.remove, 1);
+                assert.notCalled(networks.active.remove);
+                assert.notCalled(networks.young.remove);
+                assert.notCalled(networks.otherPrefix.remove);
+            });
+        });
+
+        it('runs periodically until cleaned up', () => {
+            executor = new Executor({
+                ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                reaper: { interval: 10 }
+            });
+
+            return new Promise(resolve => {
+                setTimeout(resolve, 50);
+            })
+                .then(() => {
+                    assert.called(dockerMock.listContainers);
+
+                    return executor.cleanUp();
+                })
+                .then(() => {
+                    const calls = dockerMock.listContainers.callCount;
+
+                    return new Promise(resolve => {
+                        setTimeout(() => resolve(calls), 50);
+                    });
+                })
+                .then(calls => {
+                    assert.isNull(executor.reaper.timer);
+                    assert.equal(dockerMock.listContainers.callCount, calls);
+                });
+        });
+    });
+
+    describe('docker hosts', () => {
+        const ecosystem = { api: 'api', ui: 'ui', store: 'store' };
+        const fusebox = { retry: { retries: 1, minTimeout: 1 } };
+        const buildId = 1993;
+        const container = 'node:6';
+        const token = '123456';
+        const apiUri = 'http://api:8080';
+        const running = id => ({
+            Id: `container${id}`,
+            State: 'running',
+            Names: [`/${id}-build`],
+            Labels: { sdbuild: `${id}` }
+        });
+        const listContainers = builds =>
+            sinon.stub().callsFake((args, cb) => {
+                setImmediate(() => cb(null, args.filters === '{"label":["sdbuild"]}' ? builds() : []));
+            });
+        let otherContainerMock;
+        let otherDockerMock;
+        let builds;
+
+        beforeEach(() => {
+            builds = { a: [], b: [] };
+            otherContainerMock = {
+                id: 'otherContainerID',
+                putArchive: sinon.stub().yieldsAsync(),
+                start: sinon.stub().yieldsAsync(),
+                kill: sinon.stub().yieldsAsync(),
+                wait: sinon.stub().yieldsAsync(null, { StatusCode: 143 }),
+                remove: sinon.stub().yieldsAsync()
+            };
+            otherDockerMock = {
+                ...dockerMock,
+                createContainer: sinon.stub().yieldsAsync(null, otherContainerMock),
+                getContainer: sinon.stub().returns(otherContainerMock),
+                listContainers: listContainers(() => builds.b)
+            };
+            dockerMock.listContainers = listContainers(() => builds.a);
+            dockerodeMock.withArgs({ host: 'docker-b' }).returns(otherDockerMock);
+            executor = new Executor({
+                ecosystem,
+                fusebox,
+                hosts: [
+                    { name: 'a', docker: { host: 'docker-a' } },
+                    { name: 'b', docker: { host: 'docker-b' }, labels: { gpu: true } }
+                ]
+            });
+        });
+
+        it('connects to every host', () => {
+            assert.calledWith(dockerodeMock, { host: 'docker-a' });
+            assert.calledWith(dockerodeMock, { host: 'docker-b' });
+            assert.deepEqual(Object.keys(executor.stats().hosts), ['a', 'b']);
+        });
+
+        it('starts builds on the host with the fewest builds', () => {
+            builds.a = [running(1), { ...running(2), State: 'exited' }];
+            builds.b = [{ ...running(3), State: 'exited' }];
+
+            return executor.start({ buildId, container, apiUri, token }).then(() => {
+                assert.calledWith(otherDockerMock.createContainer, sinon.match({ name: `${buildId}-build` }));
+                assert.neverCalledWith(dockerMock.createContainer, sinon.match({ name: `${buildId}-build` }));
+                assert.callCount(otherContainerMock.start, 1);
+                assert.notCalled(containerMock.start);
+            });
+        });
+
+        it('spreads builds by the weight of the hosts', () => {
+            builds.a = [running(1)];
+            builds.b = [running(2)];
+            executor = new Executor({
+                ecosystem,
+                fusebox,
+                hosts: [
+                    { name: 'a', docker: { host: 'docker-a' }, weight: 2 },
+                    { name: 'b', docker: { host: 'docker-b' } }
+                ]
+            });
+
+            return executor.start({ buildId, container, apiUri, token }).then(() => {
+                assert.calledWith(dockerMock.createContainer, sinon.match({ name: `${buildId}-build` }));
+                assert.notCalled(otherContainerMock.start);
+            });
+        });
+
+        it('counts the builds placed on a host that are still starting', () => {
+            dockerMock.createNetwork = sinon.stub().callsFake((options, cb) => setTimeout(cb, 50, null, networkMock));
+
+            return Promise.all([
+                executor.start({ buildId, container, apiUri, token }),
+                new Promise(resolve => {
+                    setTimeout(resolve, 10);
+                }).then(() => executor.start({ buildId: buildId + 1, container, apiUri, token }))
+            ]).then(() => {
+                assert.calledWith(dockerMock.createContainer, sinon.match({ name: `${buildId}-build` }));
+                assert.calledWith(otherDockerMock.createContainer, sinon.match({ name: `${buildId + 1}-build` }));
+            });
+        });
+
+        it('does not count builds that failed to start on their host', () => {
+            builds.a = [running(1)];
+            otherDockerMock.createImage = sinon.stub().yieldsAsync(new Error('manifest unknown'));
+
+            return executor
+                .start({ buildId, container, apiUri, token })
+                .then(() => {
+                    throw new Error('should not have gotten here');
+                })
+                .catch(error => {
+                    assert.match(error.message, /manifest unknown$/);
+                    assert.isFalse(executor.placements.has(buildId));
+
+                    return executor._countBuilds(executor.hosts[1]);
+                })
+                .then(count => {
+                    assert.equal(count, 0);
+                });
+        });
+
+        it('starts builds on the hosts their dockerHost annotation selects', () => {
+            builds.b = [running(1), running(2)];
+
+            return executor
+                .start({ buildId, container, apiUri, token, annotations: { 'screwdriver.cd/dockerHost': 'gpu=true' } })
+                .then(() => {
+                    assert.callCount(otherContainerMock.start, 1);
+
+                    return executor.start({
+                        buildId: buildId + 1,
+                        container,
+                        apiUri,
+                        token,
+                        annotations: { 'screwdriver.cd/dockerHost': 'gpu=false' }
+                    });
+                })
+                .then(() => {
+                    throw new Error('should not have gotten here');
+                })
+                .catch(error => {
+                    assert.equal(error.message, 'No Docker host matches "gpu=false"');
+                    assert.notCalled(containerMock.start);
+                });
+        });
+
+        it('rejects invalid dockerHost annotations', () =>
+            executor
+                .start({ buildId, container, apiUri, token, annotations: { 'screwdriver.cd/dockerHost': 'gpu' } })
+                .then(() => {
+                    throw new Error('should not have gotten here');
+                })
+                .catch(error => {
+                    assert.equal(error.message, 'Invalid Docker host selector "gpu": must be key=value pairs');
+                }));
+
+        it('leaves out hosts that fail', () => {
+            builds.b = [running(1), running(2)];
+            dockerMock.listContainers = sinon.stub().yieldsAsync(new Error('connect ECONNREFUSED'));
+
+            return executor.start({ buildId, container, apiUri, token }).then(() => {
+                assert.callCount(otherContainerMock.start, 1);
+                assert.notCalled(containerMock.start);
+            });
+        });
+
+        it('stops builds on the host they were placed on', () => {
+            builds.a = [running(1)];
+            dockerMock.listContainers = listContainers(() => builds.a);
+
+            return executor
+                .start({ buildId, container, apiUri, token })
+                .then(() => {
+                    dockerMock.getContainer = sinon.stub().returns({
+                        kill: sinon.stub().yieldsAsync(new Error('connect ECONNREFUSED')),
+                        wait: sinon.stub().yieldsAsync()
+                    });
+
+                    return executor.stop({ buildId, apiUri });
+                })
+                .then(() => {
+                    assert.calledWith(otherContainerMock.kill, { signal: 'SIGTERM' });
+                    assert.isFalse(executor.placements.has(buildId));
+
+                    otherContainerMock.kill = sinon.stub().yieldsAsync(new Error('connect ECONNREFUSED'));
+                    builds.b = [];
+
+                    return executor.start({ buildId: buildId + 1, container, apiUri, token });
+                })
+                .then(() => executor.stop({ buildId: buildId + 1, apiUri }))
                 .then(() => {
                     throw new Error('should not have gotten here');
                 })
                 .catch(error => {
-                    assert.equal(error.message, 'Unable to remove container');
+                    assert.equal(error.message, 'connect ECONNREFUSED');
+                });
+        });
+
+        it('searches every host for builds without a placement', () => {
+            otherContainerMock.kill = sinon.stub().yieldsAsync(new Error('connect ECONNREFUSED'));
+
+            return executor
+                .stop({ buildId, apiUri })
+                .then(() => {
+                    assert.calledWith(containerMock.kill, { signal: 'SIGTERM' });
+                    containerMock.kill = sinon.stub().yieldsAsync(new Error('connect ECONNREFUSED'));
+
+                    return executor.stop({ buildId, apiUri });
+                })
+                .then(() => {
+                    throw new Error('should not have gotten here');
+                })
+                .catch(error => {
+                    assert.equal(error.message, 'connect ECONNREFUSED');
+                });
+        });
+
+        it('rejects invalid hosts', () => {
+            assert.throws(() => new Executor({ ecosystem, hosts: [] }), 'Docker hosts must be a non-empty list');
+            assert.throws(
+                () => new Executor({ ecosystem, hosts: [{ name: 'a' }, { name: 'a' }] }),
+                'Duplicate Docker host "a"'
+            );
+            assert.throws(
+                () => new Executor({ ecosystem, hosts: [{ name: 'a', weight: -1 }] }),
+                'Invalid weight "-1" of Docker host "a": must be a number greater than 0'
+            );
+            assert.throws(
+                () => new Executor({ ecosystem, swarm: { enabled: true }, hosts: [{ name: 'a' }] }),
+                'Multiple Docker hosts are not supported in swarm mode'
+            );
+        });
+    });
+
+    describe('healthCheck', () => {
+        const ecosystem = { api: 'api', ui: 'ui', store: 'store' };
+
+        beforeEach(() => {
+            dockerMock.ping = sinon.stub().yieldsAsync(null, 'OK');
+            dockerMock.version = sinon.stub().yieldsAsync(null, { ApiVersion: '1.43' });
+            dockerMock.info = sinon.stub().yieldsAsync(null, { DockerRootDir: os.tmpdir() });
+            launcherImageMock.distribution = sinon.stub().yieldsAsync(null, { Descriptor: {} });
+        });
+
+        it('reports healthy daemons', () =>
+            executor.healthCheck().then(status => {
+                assert.deepEqual(status, {
+                    healthy: true,
+                    hosts: {
+                        default: {
+                            healthy: true,
+                            breaker: 'closed',
+                            checks: {
+                                ping: { ok: true },
+                                version: { ok: true, apiVersion: '1.43', minApiVersion: '1.41' },
+                                disk: { ok: true, checked: false },
+                                registry: { ok: true, image: 'screwdrivercd/launcher:stable' }
+                            }
+                        }
+                    }
+                });
+                assert.calledWith(dockerMock.getImage, 'screwdrivercd/launcher:stable');
+                assert.calledWith(launcherImageMock.distribution, {});
+            }));
+
+        it('reports failed checks', () => {
+            dockerMock.version.yieldsAsync(null, { ApiVersion: '1.40' });
+            dockerMock.modem.socketPath = '/var/run/docker.sock';
+            launcherImageMock.distribution.yieldsAsync(new Error('connection refused'));
+            executor = new Executor({
+                ecosystem,
+                health: { minFreeDisk: 1024 * 1024 },
+                registries: { 'docker.io': { username: 'builder', password: 'secret' } }
+            });
+
+            return executor.healthCheck().then(({ healthy, hosts }) => {
+                const { checks } = hosts.default;
+
+                assert.isFalse(healthy);
+                assert.isFalse(hosts.default.healthy);
+                assert.deepEqual(checks.version, { ok: false, apiVersion: '1.40', minApiVersion: '1.41' });
+                assert.isFalse(checks.disk.ok);
+                assert.isTrue(checks.disk.checked);
+                assert.isAbove(checks.disk.free, 0);
+                assert.equal(checks.disk.minFree, 1024 * 1024);
+                assert.deepEqual(checks.registry, { ok: false, message: 'connection refused' });
+                assert.calledWith(launcherImageMock.distribution, {
+                    authconfig: {
+                        serveraddress: 'https://index.docker.io/v1/',
+                        username: 'builder',
+                        password: 'secret'
+                    }
+                });
+            });
+        });
+
+        it('only pings daemons that do not answer', () => {
+            dockerMock.ping = sinon.stub();
+            executor = new Executor({ ecosystem, health: { timeout: 10 } });
+
+            return executor.healthCheck().then(({ healthy, hosts }) => {
+                assert.isFalse(healthy);
+                assert.deepEqual(hosts.default.checks, { ping: { ok: false, message: 'Timed out after 10ms' } });
+                assert.notCalled(dockerMock.version);
+            });
+        });
+
+        it('is healthy while any of its hosts is', () => {
+            const otherDockerMock = {
+                ...dockerMock,
+                ping: sinon.stub().yieldsAsync(new Error('connect ECONNREFUSED'))
+            };
+
+            dockerodeMock.withArgs({ host: 'docker-b' }).returns(otherDockerMock);
+            executor = new Executor({
+                ecosystem,
+                hosts: [
+                    { name: 'a', docker: { host: 'docker-a' } },
+                    { name: 'b', docker: { host: 'docker-b' } }
+                ]
+            });
+
+            return executor.healthCheck().then(({ healthy, hosts }) => {
+                assert.isTrue(healthy);
+                assert.isTrue(hosts.a.healthy);
+                assert.isFalse(hosts.b.healthy);
+                assert.deepEqual(hosts.b.checks, { ping: { ok: false, message: 'connect ECONNREFUSED' } });
+            });
+        });
+    });
+
+    describe('metrics', () => {
+        const buildId = 1993;
+        const container = 'node:6';
+        const token = '123456';
+        const apiUri = 'https://api.sd.cd';
+
+        it('records the pulls, creates and starts of builds', () =>
+            executor
+                .start({ buildId, container, apiUri, token })
+                .then(() => executor.stop({ buildId, apiUri }))
+                .then(() => executor.metrics())
+                .then(metrics => {
+                    assert.include(metrics, 'sd_executor_docker_image_pull_duration_seconds_count{host="default"} 2');
+                    assert.include(
+                        metrics,
+                        'sd_executor_docker_container_create_duration_seconds_count{host="default"} 2'
+                    );
+                    assert.include(
+                        metrics,
+                        'sd_executor_docker_container_start_duration_seconds_count{host="default"} 1'
+                    );
+                    assert.include(metrics, 'sd_executor_docker_build_stop_duration_seconds_count 1');
+                    assert.include(metrics, 'sd_executor_docker_running_builds{host="default"} 1');
+                }));
+
+        it('counts builds that failed to start by reason', () => {
+            dockerMock.createImage = sinon.stub().yieldsAsync(new Error('manifest unknown'));
+
+            return executor
+                .start({
+                    buildId,
+                    container,
+                    apiUri,
+                    token,
+                    annotations: { 'screwdriver.cd/imagePullPolicy': 'Sometimes' }
+                })
+                .catch(() => executor.start({ buildId, container, apiUri, token }))
+                .catch(() => executor.metrics())
+                .then(metrics => {
+                    assert.include(metrics, 'sd_executor_docker_build_start_failures_total{reason="invalid_config"} 1');
+                    assert.include(metrics, 'sd_executor_docker_build_start_failures_total{reason="image_pull"} 1');
+                    // Both the launcher and the build image failed to pull, retries included
+                    assert.match(
+                        metrics,
+                        /sd_executor_docker_docker_errors_total\{host="default",operation="createImage"\} [2-9]/
+                    );
+                });
+        });
+
+        it('counts the running builds of every host', () => {
+            dockerMock.listContainers = sinon.stub().yieldsAsync(null, [
+                { Id: 'a', State: 'running', Names: ['/1-build'], Labels: { sdbuild: '1' } },
+                { Id: 'b', State: 'running', Names: ['/1-postgres'], Labels: { sdbuild: '1' } },
+                { Id: 'c', State: 'exited', Names: ['/2-build'], Labels: { sdbuild: '2' } }
+            ]);
+            executor = new Executor({
+                ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                metrics: { prefix: 'docker_' }
+            });
+
+            return executor.metrics().then(metrics => {
+                assert.include(metrics, 'docker_running_builds{host="default"} 1');
+                assert.notInclude(metrics, 'sd_executor_docker_');
+            });
+        });
+    });
+
+    describe('events', () => {
+        const buildId = 1993;
+        const container = 'node:6';
+        const token = '123456';
+        const apiUri = 'https://api.sd.cd';
+        let stream;
+
+        /**
+         * Docker event of a build container, as a line of the events stream
+         * @method dockerEvent
+         * @param  {String} action     Docker action
+         * @param  {Object} attributes Container attributes
+         * @return {String}
+         */
+        const dockerEvent = (action, attributes) =>
+            `${JSON.stringify({
+                Type: 'container',
+                Action: action,
+                Actor: { ID: 'abcd', Attributes: { name: `${buildId}-build`, ...attributes } },
+                time: 1700000000,
+                timeNano: 1700000000123 * 1e6
+            })}\n`;
+
+        beforeEach(() => {
+            stream = new PassThrough();
+            dockerMock.getEvents = sinon.stub().yieldsAsync(null, stream);
+        });
+
+        it('emits the Docker events of build containers', () => {
+            const events = [];
+
+            executor.on('started', event => events.push(event)).on('exited', event => events.push(event));
+            assert.calledWithMatch(dockerMock.getEvents, {
+                filters: JSON.stringify({
+                    type: ['container'],
+                    label: ['sdbuild'],
+                    event: ['create', 'start', 'die', 'oom', 'destroy']
+                })
+            });
+
+            return waitFor(() => executor.hosts[0].eventWatch.stream)
+                .then(() => {
+                    const exited = dockerEvent('die', { sdbuild: `${buildId}`, exitCode: '3' });
+
+                    stream.write(dockerEvent('start', { sdbuild: `${buildId}` }));
+                    stream.write(dockerEvent('start', { sdbuild: 'other-1' }));
+                    // Lines can be split over chunks
+                    stream.write(exited.slice(0, 20));
+                    stream.write(exited.slice(20));
+
+                    return waitFor(() => events.length === 2);
+                })
+                .then(() => {
+                    assert.deepEqual(events, [
+                        {
+                            type: 'started',
+                            timestamp: '2023-11-14T22:13:20.123Z',
+                            buildId,
+                            containerId: 'abcd',
+                            name: `${buildId}-build`,
+                            host: 'default'
+                        },
+                        {
+                            type: 'exited',
+                            timestamp: '2023-11-14T22:13:20.123Z',
+                            buildId,
+                            containerId: 'abcd',
+                            name: `${buildId}-build`,
+                            host: 'default',
+                            exitCode: 3
+                        }
+                    ]);
+                });
+        });
+
+        it('follows the Docker events only while somebody listens', () => {
+            const listener = sinon.stub();
+
+            executor.on('oom', listener).once('removed', listener);
+            assert.calledOnce(dockerMock.getEvents);
+
+            return waitFor(() => executor.hosts[0].eventWatch.stream).then(() => {
+                executor.off('oom', listener);
+                assert.isFalse(stream.destroyed);
+                executor.off('removed', listener);
+                assert.isTrue(stream.destroyed);
+                assert.isNull(executor.hosts[0].eventWatch);
+            });
+        });
+
+        it('follows the Docker events again from the last one seen', () => {
+            let clock;
+
+            executor.on('started', sinon.stub());
+
+            return waitFor(() => executor.hosts[0].eventWatch.stream)
+                .then(() => {
+                    stream.write(dockerEvent('create', { sdbuild: `${buildId}` }));
+
+                    return waitFor(() => executor.hosts[0].eventWatch.since);
+                })
+                .then(() => {
+                    clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+                    stream.destroy();
+
+                    return new Promise(resolve => {
+                        stream.on('close', resolve);
+                    });
+                })
+                .then(() => {
+                    clock.tick(5000);
+                    clock.restore();
+                    assert.calledTwice(dockerMock.getEvents);
+                    assert.calledWithMatch(dockerMock.getEvents.secondCall, { since: 1700000000 });
+                });
+        });
+
+        it('emits the steps of the executor itself', () => {
+            const events = [];
+
+            ['pulled', 'stopped', 'failed'].forEach(type => executor.on(type, event => events.push(event)));
+
+            return executor
+                .start({ buildId, container, apiUri, token })
+                .then(() => executor.stop({ buildId, apiUri }))
+                .then(() =>
+                    executor.start({
+                        buildId,
+                        container,
+                        apiUri,
+                        token,
+                        annotations: { 'screwdriver.cd/imagePullPolicy': 'Sometimes' }
+                    })
+                )
+                .then(() => {
+                    throw new Error('should not have gotten here');
+                })
+                .catch(error => {
+                    assert.match(error.message, /^Invalid image pull policy/);
+                    assert.deepEqual(
+                        events.map(({ type, buildId: id, image }) => ({ type, buildId: id, image })),
+                        [
+                            { type: 'pulled', buildId, image: 'screwdrivercd/launcher:stable' },
+                            { type: 'pulled', buildId, image: 'node:6' },
+                            { type: 'stopped', buildId, image: undefined },
+                            { type: 'failed', buildId, image: undefined }
+                        ]
+                    );
+                    assert.equal(events[3].reason, 'invalid_config');
                 });
         });
     });
@@ -516,6 +3843,32 @@ describe('index', function () {
                     },
                     breaker: {
                         isClosed: true
+                    },
+                    reaper: {
+                        runs: 0,
+                        removed: 0,
+                        killed: 0,
+                        failed: 0,
+                        lastRun: null
+                    },
+                    queue: {
+                        depth: 0,
+                        starting: 0
+                    },
+                    hosts: {
+                        default: {
+                            requests: {
+                                total: 0,
+                                timeouts: 0,
+                                success: 0,
+                                failure: 0,
+                                concurrent: 0,
+                                averageTime: 0
+                            },
+                            breaker: {
+                                isClosed: true
+                            }
+                        }
                     }
                 },
                 executor.stats()
@@ -524,16 +3877,385 @@ describe('index', function () {
     });
 
     describe('periodic', () => {
+        const buildId = 1992;
+        const token = '123456';
+        let server;
+        let apiUri;
+        let apiRequests;
+        let buildInfo;
+
+        before(done => {
+            server = http.createServer((req, res) => {
+                let body = '';
+
+                req.on('data', chunk => {
+                    body += chunk;
+                });
+                req.on('end', () => {
+                    apiRequests.push({
+                        method: req.method,
+                        url: req.url,
+                        authorization: req.headers.authorization,
+                        body: JSON.parse(body)
+                    });
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end('{}');
+                });
+            });
+            server.listen(0, '127.0.0.1', () => {
+                apiUri = `http://127.0.0.1:${server.address().port}`;
+                done();
+            });
+        });
+
+        after(done => {
+            server.close(done);
+        });
+
+        beforeEach(() => {
+            apiRequests = [];
+            buildInfo = {
+                Name: `/${buildId}-build`,
+                State: {
+                    Status: 'running',
+                    OOMKilled: false,
+                    Error: '',
+                    ExitCode: 0
+                }
+            };
+            containerMock.inspect = sinon.stub().yieldsAsync(null, buildInfo);
+        });
+
+        afterEach(() => executor.cleanUp());
+
         it('resolves to null when calling periodic start', () =>
             executor.startPeriodic().then(res => assert.isNull(res)));
 
         it('resolves to null when calling periodic stop', () =>
             executor.stopPeriodic().then(res => assert.isNull(res)));
+
+        it('watches the build until it is stopped', () =>
+            executor.startPeriodic({ buildId, token, apiUri }).then(res => {
+                assert.isNull(res);
+                assert.isTrue(executor.watches.has(buildId));
+
+                return executor.stopPeriodic({ buildId }).then(() => {
+                    assert.isFalse(executor.watches.has(buildId));
+                });
+            }));
+
+        it('does not report running builds', () =>
+            executor
+                .startPeriodic({ buildId, token, apiUri })
+                .then(() => executor._pollBuild(executor.watches.get(buildId)))
+                .then(message => {
+                    assert.isNull(message);
+                    assert.calledWith(dockerMock.listContainers, {
+                        filters: `{"label":["sdbuild=${buildId}"]}`,
+                        all: true
+                    });
+                    assert.deepEqual(apiRequests, []);
+                    assert.isTrue(executor.watches.has(buildId));
+                }));
+
+        it('reports builds that exit with an error', () => {
+            buildInfo.State.Status = 'exited';
+            buildInfo.State.ExitCode = 127;
+
+            return executor
+                .startPeriodic({ buildId, token, apiUri })
+                .then(() => executor._pollBuild(executor.watches.get(buildId)))
+                .then(message => {
+                    assert.equal(message, 'Build container exited with code 127.');
+                    assert.deepEqual(apiRequests, [
+                        {
+                            method: 'PUT',
+                            url: `/v4/builds/${buildId}`,
+                            authorization: `Bearer ${token}`,
+                            body: {
+                                status: 'FAILURE',
+                                statusMessage: 'Build container exited with code 127.'
+                            }
+                        }
+                    ]);
+                    assert.isFalse(executor.watches.has(buildId));
+                });
+        });
+
+        it('reports builds that ran out of memory', () => {
+            buildInfo.State.Status = 'exited';
+            buildInfo.State.ExitCode = 137;
+            buildInfo.State.OOMKilled = true;
+
+            return executor
+                .startPeriodic({ buildId, token, apiUri })
+                .then(() => executor._pollBuild(executor.watches.get(buildId)))
+                .then(() => {
+                    assert.equal(
+                        apiRequests[0].body.statusMessage,
+                        'Build container was killed after running out of memory.'
+                    );
+                });
+        });
+
+        it('reports image pull failures from start', () => {
+            dockerMock.createImage.yieldsAsync(new Error('manifest unknown'));
+
+            return executor
+                .startPeriodic({ buildId, token, apiUri })
+                .then(() => executor.start({ buildId, token, apiUri, container: 'node:6' }))
+                .then(
+                    () => {
+                        throw new Error('should not have gotten here');
+                    },
+                    () => executor._pollBuild(executor.watches.get(buildId))
+                )
+                .then(message => {
+                    assert.match(
+                        message,
+                        /^Build failed to start. Failed to pull image (node:6|screwdrivercd\/launcher:stable) from docker.io: manifest unknown$/
+                    );
+                    assert.equal(apiRequests[0].body.status, 'FAILURE');
+                });
+        });
+
+        it('stops watching builds once their containers are gone', () =>
+            executor
+                .startPeriodic({ buildId, token, apiUri })
+                .then(() => {
+                    // Not started yet
+                    dockerMock.listContainers.yieldsAsync(null, []);
+
+                    return executor._pollBuild(executor.watches.get(buildId));
+                })
+                .then(() => {
+                    assert.isTrue(executor.watches.has(buildId));
+                    dockerMock.listContainers.yieldsAsync(null, [containerShellMock]);
+
+                    return executor._pollBuild(executor.watches.get(buildId));
+                })
+                .then(() => {
+                    assert.isTrue(executor.watches.has(buildId));
+                    dockerMock.listContainers.yieldsAsync(null, []);
+
+                    return executor._pollBuild(executor.watches.get(buildId));
+                })
+                .then(message => {
+                    assert.isNull(message);
+                    assert.deepEqual(apiRequests, []);
+                    assert.isFalse(executor.watches.has(buildId));
+                }));
+
+        it('does not report builds that are stopped', () => {
+            buildInfo.State.Status = 'exited';
+            buildInfo.State.ExitCode = 143;
+
+            return executor
+                .startPeriodic({ buildId, token, apiUri })
+                .then(() => {
+                    const watch = executor.watches.get(buildId);
+
+                    return Promise.all([executor._pollBuild(watch), executor.stop({ buildId, apiUri })]);
+                })
+                .then(([message]) => {
+                    assert.isNull(message);
+                    assert.deepEqual(apiRequests, []);
+                    assert.isFalse(executor.watches.has(buildId));
+                });
+        });
+
+        it('stops watching builds that succeeded without reporting', () => {
+            buildInfo.State.Status = 'exited';
+
+            return executor
+                .startPeriodic({ buildId, token, apiUri })
+                .then(() => executor._pollBuild(executor.watches.get(buildId)))
+                .then(message => {
+                    assert.isNull(message);
+                    assert.deepEqual(apiRequests, []);
+                    assert.isFalse(executor.watches.has(buildId));
+                });
+        });
     });
 
     describe('frozen', () => {
+        const buildId = 1992;
+        const jobId = 777;
+        const buildConfig = {
+            buildId,
+            jobId,
+            container: 'node:6',
+            apiUri: 'https://api.sd.cd',
+            token: '123456'
+        };
+        let tmpDir;
+        let frozenFile;
+        let currentHourWindow;
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'executor-docker-'));
+            frozenFile = path.join(tmpDir, 'frozen.json');
+            currentHourWindow = `* ${new Date().getUTCHours()} ? * *`;
+            executor = new Executor({
+                ecosystem: {
+                    api: 'api',
+                    ui: 'ui',
+                    store: 'store'
+                },
+                frozenFile
+            });
+        });
+
+        afterEach(() => {
+            executor.cleanUp();
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
         it('resolves to null when calling frozen start', () => executor.startFrozen().then(res => assert.isNull(res)));
 
         it('resolves to null when calling frozen stop', () => executor.stopFrozen().then(res => assert.isNull(res)));
+
+        it('starts builds outside of their freeze windows right away', () => {
+            const otherHour = (new Date().getUTCHours() + 12) % 24;
+
+            return executor.startFrozen({ ...buildConfig, freezeWindows: [`* ${otherHour} ? * *`] }).then(() => {
+                assert.callCount(dockerMock.createContainer, 2);
+                assert.callCount(containerMock.start, 1);
+                assert.isFalse(fs.existsSync(frozenFile));
+            });
+        });
+
+        it('keeps builds inside a freeze window until it ends', () => {
+            const releaseTime = new Date();
+
+            releaseTime.setUTCHours(releaseTime.getUTCHours() + 1, 0, 0, 0);
+
+            return executor.startFrozen({ ...buildConfig, freezeWindows: [currentHourWindow] }).then(res => {
+                assert.isNull(res);
+                assert.notCalled(dockerMock.createContainer);
+                assert.deepEqual(JSON.parse(fs.readFileSync(frozenFile, 'utf8')), [
+                    {
+                        key: jobId,
+                        releaseTime: releaseTime.getTime(),
+                        config: { ...buildConfig, freezeWindows: [currentHourWindow] }
+                    }
+                ]);
+            });
+        });
+
+        it('releases builds from a schedule left by a previous executor', () =>
+            executor.startFrozen({ ...buildConfig, freezeWindows: [currentHourWindow] }).then(() => {
+                executor.cleanUp();
+                executor = new Executor({
+                    ecosystem: {
+                        api: 'api',
+                        ui: 'ui',
+                        store: 'store'
+                    },
+                    frozenFile
+                });
+
+                assert.isTrue(executor.frozen.has(jobId));
+
+                return executor
+                    ._releaseFrozen(new Date())
+                    .then(() => {
+                        assert.notCalled(dockerMock.createContainer);
+
+                        return executor._releaseFrozen(new Date(Date.now() + 60 * 60 * 1000));
+                    })
+                    .then(() => {
+                        assert.callCount(dockerMock.createContainer, 2);
+                        assert.callCount(containerMock.start, 1);
+                        assert.isFalse(executor.frozen.has(jobId));
+                        assert.deepEqual(JSON.parse(fs.readFileSync(frozenFile, 'utf8')), []);
+                    });
+            }));
+
+        it('cancels pending frozen builds', () =>
+            executor
+                .startFrozen({ ...buildConfig, freezeWindows: [currentHourWindow] })
+                .then(() => executor.stopFrozen({ jobId }))
+                .then(res => {
+                    assert.isNull(res);
+                    assert.isFalse(executor.frozen.has(jobId));
+                    assert.deepEqual(JSON.parse(fs.readFileSync(frozenFile, 'utf8')), []);
+                }));
+
+        it('keeps the schedule in a private state directory by default', () => {
+            executor.cleanUp();
+            executor = new Executor({ ecosystem: { api: 'api', ui: 'ui', store: 'store' }, prefix: 'beta_' });
+
+            assert.equal(
+                executor.frozenFile,
+                path.join(os.homedir(), '.screwdriver-executor-docker', 'beta_frozen.json')
+            );
+        });
+
+        it('never writes the schedule through a file left by someone else', () => {
+            const target = path.join(tmpDir, 'target');
+
+            fs.writeFileSync(target, 'untouched');
+            fs.symlinkSync(target, `${frozenFile}.tmp`);
+
+            return executor.startFrozen({ ...buildConfig, freezeWindows: [currentHourWindow] }).then(() => {
+                assert.equal(fs.readFileSync(target, 'utf8'), 'untouched');
+                assert.isFalse(fs.lstatSync(frozenFile).isSymbolicLink());
+                assert.equal((fs.statSync(frozenFile).mode % 0o1000).toString(8), '600');
+                assert.isTrue(executor.frozen.has(jobId));
+            });
+        });
+
+        it('rejects frozen builds it cannot keep on disk', () => {
+            fs.writeFileSync(path.join(tmpDir, 'file'), '');
+            executor.cleanUp();
+            executor = new Executor({
+                ecosystem: { api: 'api', ui: 'ui', store: 'store' },
+                frozenFile: path.join(tmpDir, 'file', 'frozen.json')
+            });
+
+            return executor
+                .startFrozen({ ...buildConfig, freezeWindows: [currentHourWindow] })
+                .then(() => {
+                    throw new Error('should not have gotten here');
+                })
+                .catch(error => {
+                    assert.include(['ENOTDIR', 'EEXIST'], error.code);
+                    assert.equal(executor.frozen.size, 0);
+                    assert.isNull(executor.frozenTimer);
+                });
+        });
+
+        it('releases frozen builds when the schedule cannot be saved', () =>
+            executor
+                .startFrozen({ ...buildConfig, freezeWindows: [currentHourWindow] })
+                .then(() => {
+                    fs.rmSync(tmpDir, { recursive: true, force: true });
+                    fs.writeFileSync(tmpDir, '');
+
+                    return executor._releaseFrozen(new Date(Date.now() + 60 * 60 * 1000));
+                })
+                .then(() => {
+                    assert.callCount(containerMock.start, 1);
+                    assert.isFalse(executor.frozen.has(jobId));
+                }));
+
+        it('ignores a schedule that is not a list', () => {
+            fs.writeFileSync(frozenFile, JSON.stringify({ key: jobId }));
+            executor.cleanUp();
+            executor = new Executor({ ecosystem: { api: 'api', ui: 'ui', store: 'store' }, frozenFile });
+
+            assert.equal(executor.frozen.size, 0);
+        });
+
+        it('rejects freeze windows that never end', () =>
+            executor
+                .startFrozen({ ...buildConfig, freezeWindows: ['* * ? * *'] })
+                .then(() => {
+                    throw new Error('should not have gotten here');
+                })
+                .catch(error => {
+                    assert.equal(error.message, 'Freeze windows * * ? * * never end');
+                }));
     });
 });